@@ -13,11 +13,23 @@ export class GenerativeSystem {
     setParamValue(paramId, value) {}
     getIteration() { return this.iteration; }
     getPopulation() { return '-'; }
+    getInfoItems() { return []; } // Extra info panel rows: [{ label, value }]
+    hasPendingWork() { return false; } // Work left over from reset/step that the lab finishes between frames
+    continueWork() {} // One time-boxed slice of that work
+    getStatistics() { return []; } // Numeric series for the metrics chart (besides population): [{ label, value }]
     getVisualizationHints() { return {}; }
     getInteractionHint() { return 'Observing'; }
     handleMouseDown(x, y, button) {}
     handleMouseMove(x, y) {}
     handleMouseUp(x, y) {}
+    handleMouseHover(x, y) { return false; } // Mouse moved with no button down; return true to request a redraw
+    handleMouseLeave() { return false; }
+    handleKeyDown(key) { return false; } // KeyboardEvent.key; return true if the system used the key
+    // History (step back / timeline): return null if the system can't be rewound, otherwise an object
+    // with at least { iteration, byteSize }. Given an earlier full snapshot as `keyframe`, a system may
+    // store only the changes against it, keeping it as `base`; with no keyframe it must return a full one.
+    createSnapshot(keyframe) { return null; }
+    restoreSnapshot(snapshot) {}
     onResize(newWidth, newHeight) { this.width = newWidth; this.height = newHeight; }
     destroy() {}
     updateRendererBuffer(renderer) {}
@@ -1,4 +1,40 @@
 // --- Canvas Renderer Module ---
+import { hexCellCenter, hexCornerRadius } from './systems/grid_neighborhood.js';
+
+// Parse '#rgb' / '#rrggbb' into [r, g, b]; returns null for other color formats
+function parseHexColor(color) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+    if (!match) return null;
+    let hex = match[1];
+    if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+    return [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16));
+}
+
+const TURTLE_EXTRA_COLORS = ['#77cc77', '#f0a050', '#c39bff', '#e6edf3'];
+const DEPTH_BUCKETS = 4096;
+
+// Indices sorted far to near by a counting sort over depth buckets: linear in the number of
+// items, which keeps millions of 3D segments drawable; items in one bucket keep their order
+function depthOrder(depths, minDepth, maxDepth) {
+    const scale = (DEPTH_BUCKETS - 1) / (maxDepth - minDepth || 1);
+    const bucketOf = i => DEPTH_BUCKETS - 1 - Math.floor((depths[i] - minDepth) * scale); // Far -> bucket 0
+    const starts = new Uint32Array(DEPTH_BUCKETS + 1);
+    for (let i = 0; i < depths.length; i++) starts[bucketOf(i) + 1]++;
+    for (let k = 0; k < DEPTH_BUCKETS; k++) starts[k + 1] += starts[k];
+    const order = new Uint32Array(depths.length);
+    for (let i = 0; i < depths.length; i++) order[starts[bucketOf(i)]++] = i;
+    return order;
+}
+
+// Linear blend between two hex colors (t = 0 -> colorA, t = 1 -> colorB)
+function mixColors(colorA, colorB, t) {
+    const a = parseHexColor(colorA);
+    const b = parseHexColor(colorB);
+    if (!a || !b) return colorA; // Can't blend non-hex colors, keep the first
+    const [r, g, bl] = a.map((channel, i) => Math.round(channel + (b[i] - channel) * t));
+    return `rgb(${r}, ${g}, ${bl})`;
+}
+
 export default class CanvasRenderer {
     constructor(canvasElement) {
         if (!canvasElement || !(canvasElement instanceof HTMLCanvasElement)) {
@@ -104,25 +140,57 @@ export default class CanvasRenderer {
             case 'lines':
                  this.renderLineSystem(system);
                 break;
+            case 'lines3d':
+                this.renderLine3DSystem(system);
+                break;
             case 'agents':
                 this.renderAgentSystem(system);
                 break;
+            case 'quadtree':
+                this.renderQuadtreeSystem(system);
+                break;
+            case 'field':
+                this.renderFieldSystem(system);
+                break;
             // Add cases for other render modes (agents, particles, etc.)
             default:
                 console.warn("Unknown renderMode:", this.renderMode);
         }
 
-        if (this.params.gridEnabled && this.renderMode === 'grid') {
+        if (this.params.gridEnabled && this.renderMode === 'grid' && !this.isHexLattice(system)) {
             this.drawGrid();
         }
+        if (typeof system.getMarkers === 'function') {
+            this.drawMarkers(system.getMarkers());
+        }
+    }
+
+    // Overlay markers (e.g. turmite ants): arrowheads at {x, y} pixels pointing along 'angle' (radians)
+    drawMarkers(markers) {
+        if (!markers || markers.length === 0) return;
+        this.ctx.fillStyle = this.currentPalette.special || '#ff70a6';
+        this.ctx.strokeStyle = this.currentPalette.bg || '#000000';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        markers.forEach(({ x, y, angle = 0, size = 6 }) => {
+            const cos = Math.cos(angle), sin = Math.sin(angle);
+            const point = (forward, side) => [x + cos * forward - sin * side, y + sin * forward + cos * side];
+            this.ctx.moveTo(...point(size, 0));
+            this.ctx.lineTo(...point(-size * 0.6, size * 0.6));
+            this.ctx.lineTo(...point(-size * 0.6, -size * 0.6));
+            this.ctx.closePath();
+        });
+        this.ctx.fill();
+        this.ctx.stroke();
     }
 
     // Specific render method for grid-based systems (like Cellular Automata)
     renderGridSystem(system) {
-        const grid = system.getGrid ? system.getGrid() : null;
+        const cells = system.getCells ? system.getCells() : null; // Flat buffer (fast path)
+        const grid = cells ? null : (system.getGrid ? system.getGrid() : null);
         const cols = system.cols || 0;
         const rows = system.rows || 0;
-        if (!grid || cols === 0 || rows === 0 || !this.cellSize) return;
+        if ((!cells && !grid) || cols === 0 || rows === 0 || !this.cellSize) return;
 
         const onColor = this.currentPalette.cellOn || '#ffffff';
         const offColor = this.currentPalette.cellOff || '#000000';
@@ -130,6 +198,13 @@ export default class CanvasRenderer {
          if (typeof system.getSpecialColors === 'function') {
             Object.assign(specialColors, system.getSpecialColors(this.currentPalette));
          }
+         // Multi-state systems (e.g. Generations decay states): shade states 2..N-1 from 'special' toward 'cellOff'
+         const stateCount = typeof system.getStateCount === 'function' ? system.getStateCount() : 0;
+         for (let state = 2; state < stateCount; state++) {
+             if (specialColors[state]) continue;
+             const t = (state - 2) / (stateCount - 2);
+             specialColors[state] = mixColors(this.currentPalette.special || '#ff0000', offColor, t);
+         }
 
 
          // Shadow effects (optional, performance cost)
@@ -140,9 +215,15 @@ export default class CanvasRenderer {
              this.ctx.shadowBlur = 0;
          }
 
+        const hex = this.isHexLattice(system);
+        const hexCorners = hex ? this.getHexCorners(this.cellSize) : null;
+        if (hex) this.ctx.beginPath(); // Hexagons of one color are batched into a single path
+
+        let currentFill = null; // Only touch ctx.fillStyle when the color actually changes
         for (let y = 0; y < rows; y++) {
             for (let x = 0; x < cols; x++) {
-                const cellState = grid[y][x];
+                const cellState = cells ? cells[y * cols + x] : grid[y][x];
+                 if (cellState === 0) continue; // Off cells show the background
                  let fillColor = offColor; // Default to off
 
                  if (cellState === 1) { // Common 'ON' state
@@ -159,42 +240,308 @@ export default class CanvasRenderer {
 
                  // Only draw if not the background color (performance opt.)
                  if(fillColor !== offColor) {
-                    this.ctx.fillStyle = fillColor;
-                    this.ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+                    if (fillColor !== currentFill) {
+                        if (hex && currentFill) {
+                            this.ctx.fill();
+                            this.ctx.beginPath();
+                        }
+                        this.ctx.fillStyle = fillColor;
+                        currentFill = fillColor;
+                    }
+                    if (hex) {
+                        const center = hexCellCenter(x, y, this.cellSize);
+                        this.ctx.moveTo(center.x + hexCorners[0][0], center.y + hexCorners[0][1]);
+                        for (let c = 1; c < 6; c++) this.ctx.lineTo(center.x + hexCorners[c][0], center.y + hexCorners[c][1]);
+                        this.ctx.closePath();
+                    } else {
+                        this.ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+                    }
                 }
             }
         }
+        if (hex && currentFill) this.ctx.fill();
 
          this.ctx.shadowBlur = 0; // Reset shadow
+
+        // Pending edits (a line being dragged out, the stamp ghost) drawn translucent on top,
+        // one path per state; cells may carry their own state as a third element
+        const overlay = typeof system.getOverlayCells === 'function' ? system.getOverlayCells() : null;
+        if (!overlay) return;
+        const overlayPaths = new Map();
+        overlay.cells.forEach(([x, y, state = overlay.state]) => {
+            if (!overlayPaths.has(state)) overlayPaths.set(state, new Path2D());
+            const path = overlayPaths.get(state);
+            if (hex) {
+                const center = hexCellCenter(x, y, this.cellSize);
+                path.moveTo(center.x + hexCorners[0][0], center.y + hexCorners[0][1]);
+                for (let c = 1; c < 6; c++) path.lineTo(center.x + hexCorners[c][0], center.y + hexCorners[c][1]);
+                path.closePath();
+            } else {
+                path.rect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+            }
+        });
+        this.ctx.globalAlpha = 0.6;
+        overlayPaths.forEach((path, state) => {
+            this.ctx.fillStyle = state === 0 ? (this.currentPalette.bg || '#000000')
+                : (state === 1 ? onColor : (specialColors[state] || this.currentPalette.special || '#ff0000'));
+            this.ctx.fill(path);
+        });
+        this.ctx.globalAlpha = 1;
+
+        if (overlay.selection) {
+            // Dashed frame around the selected cells (cell bounds, approximate on hex lattices)
+            const { minX, minY, maxX, maxY } = overlay.selection;
+            const topLeft = hex ? hexCellCenter(minX, minY, this.cellSize) : { x: minX * this.cellSize, y: minY * this.cellSize };
+            const bottomRight = hex ? hexCellCenter(maxX, maxY, this.cellSize) : { x: (maxX + 1) * this.cellSize, y: (maxY + 1) * this.cellSize };
+            const pad = hex ? this.cellSize / 2 : 0;
+            this.ctx.strokeStyle = this.currentPalette.special || '#ff70a6';
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([4, 3]);
+            this.ctx.strokeRect(topLeft.x - pad + 0.5, topLeft.y - pad + 0.5, bottomRight.x - topLeft.x + 2 * pad, bottomRight.y - topLeft.y + 2 * pad);
+            this.ctx.setLineDash([]);
+        }
+    }
+
+    // Hexagonal grids (see systems/grid_neighborhood.js) are stored as offset rows
+    isHexLattice(system) {
+        return typeof system.getLattice === 'function' && system.getLattice() === 'hex';
+    }
+
+    // Corner offsets of a pointy-top hexagon, shrunk slightly so neighboring cells stay distinguishable
+    getHexCorners(cellWidth) {
+        if (this.hexCornersWidth !== cellWidth) {
+            const radius = hexCornerRadius(cellWidth) * (cellWidth >= 4 ? 0.92 : 1);
+            this.hexCorners = Array.from({ length: 6 }, (_, c) => {
+                const angle = Math.PI / 3 * c + Math.PI / 6;
+                return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+            });
+            this.hexCornersWidth = cellWidth;
+        }
+        return this.hexCorners;
+    }
+
+    // Unbounded quadtree universes (HashLife): the system reports live blocks inside its viewport
+    renderQuadtreeSystem(system) {
+        const view = system.getViewport ? system.getViewport() : null;
+        if (!view || typeof system.forEachVisibleBlock !== 'function') return;
+
+        const scale = view.cellSize;
+        const originX = this.width / 2 - view.centerX * scale; // Screen position of world (0, 0)
+        const originY = this.height / 2 - view.centerY * scale;
+        const gap = scale >= 4 ? 1 : 0; // Keep individual cells distinguishable when zoomed in
+        this.ctx.fillStyle = this.currentPalette.cellOn || '#ffffff';
+        system.forEachVisibleBlock((x, y, size) => {
+            const pixelSize = Math.max(1, size * scale - gap);
+            this.ctx.fillRect(Math.floor(originX + x * scale), Math.floor(originY + y * scale), pixelSize, pixelSize);
+        });
+    }
+
+    // Continuous-valued grids (Lenia, reaction-diffusion): values are mapped through a 256-entry
+    // colormap into an offscreen image at one pixel per cell, then scaled up in a single draw.
+    renderFieldSystem(system) {
+        const field = system.getField ? system.getField() : null;
+        if (!field || !field.data) return;
+        const { data, cols, rows } = field;
+        const min = field.min ?? 0;
+        const range = (field.max ?? 1) - min || 1;
+
+        if (!this.fieldCanvas || this.fieldCanvas.width !== cols || this.fieldCanvas.height !== rows) {
+            this.fieldCanvas = document.createElement('canvas');
+            this.fieldCanvas.width = cols;
+            this.fieldCanvas.height = rows;
+            this.fieldCtx = this.fieldCanvas.getContext('2d');
+            this.fieldImage = this.fieldCtx.createImageData(cols, rows);
+            this.fieldPixels = new Uint32Array(this.fieldImage.data.buffer);
+        }
+        const colormap = this.getFieldColormap();
+        const pixels = this.fieldPixels;
+        for (let i = 0; i < cols * rows; i++) {
+            const level = Math.round((data[i] - min) / range * 255);
+            pixels[i] = colormap[level < 0 ? 0 : (level > 255 ? 255 : level)];
+        }
+        this.fieldCtx.putImageData(this.fieldImage, 0, 0);
+
+        const cellSize = field.cellSize || this.cellSize;
+        this.ctx.imageSmoothingEnabled = false; // Crisp cells when scaled up
+        this.ctx.drawImage(this.fieldCanvas, field.offsetX || 0, field.offsetY || 0, cols * cellSize, rows * cellSize);
+    }
+
+    // Palette ramp bg -> cellOff -> cellOn -> special as packed ABGR pixels, rebuilt on palette change
+    getFieldColormap() {
+        if (this.fieldColormap && this.fieldColormapPalette === this.currentPalette) return this.fieldColormap;
+        const palette = this.currentPalette;
+        let stops = [palette.bg, palette.cellOff, palette.cellOn, palette.special].map(parseHexColor).filter(Boolean);
+        if (stops.length < 2) stops = [[0, 0, 0], [255, 255, 255]]; // Palettes without hex colors
+        const colormap = new Uint32Array(256);
+        for (let level = 0; level < 256; level++) {
+            const position = level / 255 * (stops.length - 1);
+            const segment = Math.min(stops.length - 2, Math.floor(position));
+            const t = position - segment;
+            const [r, g, b] = stops[segment].map((channel, i) => Math.round(channel + (stops[segment + 1][i] - channel) * t));
+            colormap[level] = (255 << 24 | b << 16 | g << 8 | r) >>> 0; // Little-endian RGBA byte order
+        }
+        this.fieldColormap = colormap;
+        this.fieldColormapPalette = palette;
+        return colormap;
     }
 
      // Specific render method for line-based systems (like L-Systems)
      renderLineSystem(system) {
-         const lines = system.getLines ? system.getLines() : null;
-         if (!lines || lines.length === 0) return;
+         const buffer = system.getSegmentBuffer ? system.getSegmentBuffer() : null;
+         const lines = !buffer && system.getLines ? system.getLines() : null;
+         const polygons = system.getPolygons ? system.getPolygons() : [];
 
-        const palette = this.currentPalette;
+        const colors = this.turtleColors();
          this.ctx.lineCap = 'round';
 
-         lines.forEach(line => {
-            // Example: Use different color based on line properties (e.g., depth?)
-             let strokeColor = palette.cellOn || '#ffffff'; // Default 'on' color
-            // Optional: Change color based on line.depth or other factors
-             // strokeColor = `hsl(${100 + line.depth * 15}, 60%, 70%)`;
-
+        if (buffer) {
+            const count = system.getVisibleSegmentCount ? system.getVisibleSegmentCount() : buffer.count;
+            const transform = system.getScreenTransform ? system.getScreenTransform() : { scale: 1, originX: 0, originY: 0 };
+            this.strokeSegmentBuffer(buffer, count, transform, colors);
+        }
+         (lines || []).forEach(line => {
             this.ctx.lineWidth = Math.max(0.5, (line.thickness || 1) * this.lineWidthFactor);
-             this.ctx.strokeStyle = strokeColor;
+             this.ctx.strokeStyle = colors[(line.color || 0) % colors.length];
 
              this.ctx.beginPath();
              this.ctx.moveTo(line.x1, line.y1);
              this.ctx.lineTo(line.x2, line.y2);
              this.ctx.stroke();
+        });
+        // Leaves and petals from '{ . }' go on top of the branches
+        polygons.forEach(polygon => {
+            this.ctx.fillStyle = colors[(polygon.color || 0) % colors.length];
+            this.ctx.beginPath();
+            polygon.points.forEach(([x, y], i) => i === 0 ? this.ctx.moveTo(x, y) : this.ctx.lineTo(x, y));
+            this.ctx.closePath();
+            this.ctx.fill();
+        });
+    }
 
-            // Draw optional 'leaves' if data provided by system
-             if(line.leafInfo && line.leafInfo.type !== 'none') {
-                 this.drawLeaf(line.x2, line.y2, line.leafInfo, palette);
-             }
+    // First `count` segments of a turtle SegmentBuffer seen from the front (z dropped):
+    // screen = (originX + x * scale, originY - y * scale). Runs sharing a color and rounded width
+    // go into one path, so millions of segments cost a handful of strokes.
+    strokeSegmentBuffer(buffer, count, { scale, originX, originY }, colors) {
+        const { coords, widths } = buffer;
+        let batchKey = null;
+        for (let i = 0; i < count; i++) {
+            const color = buffer.colors[i] % colors.length;
+            const width = Math.max(0.5, Math.round(Math.max(0.4, widths[i]) * this.lineWidthFactor * 4) / 4);
+            const key = color * 100000 + width;
+            if (key !== batchKey) {
+                if (batchKey !== null) this.ctx.stroke();
+                this.ctx.strokeStyle = colors[color];
+                this.ctx.lineWidth = width;
+                this.ctx.beginPath();
+                batchKey = key;
+            }
+            const c = i * 6;
+            this.ctx.moveTo(originX + coords[c] * scale, originY - coords[c + 1] * scale);
+            this.ctx.lineTo(originX + coords[c + 3] * scale, originY - coords[c + 4] * scale);
+        }
+        if (batchKey !== null) this.ctx.stroke();
+    }
+
+    // Colors for the turtle's color index ("'" in L-systems): palette line color, accent, then fixed extras
+    turtleColors() {
+        const palette = this.currentPalette;
+        return [palette.cellOn || '#ffffff', palette.special || '#ff70a6', ...TURTLE_EXTRA_COLORS];
+    }
+
+    // 3D segments and polygons seen through the system's orbit camera: perspective projection fitted to the
+    // drawing's bounding sphere, painted back to front and faded toward the background with depth
+    renderLine3DSystem(system) {
+        const buffer = system.getSegmentBuffer ? system.getSegmentBuffer() : null;
+        const bounds = system.getBounds3D ? system.getBounds3D() : null;
+        if (!buffer || !bounds) return;
+        const { yaw = 0, pitch = 0, zoom = 1 } = system.getCamera ? system.getCamera() : {};
+
+        const center = [0, 1, 2].map(k => (bounds.min[k] + bounds.max[k]) / 2);
+        const radius = Math.max(1e-6, Math.hypot(...[0, 1, 2].map(k => bounds.max[k] - bounds.min[k])) / 2);
+        const fitDistance = radius * 3; // Camera distance at zoom 1
+        const distance = Math.max(radius * 1.05, fitDistance / zoom);
+        const focal = Math.min(this.width, this.height) * 0.45 * fitDistance / radius;
+        const cosYaw = Math.cos(yaw), sinYaw = Math.sin(yaw), cosPitch = Math.cos(pitch), sinPitch = Math.sin(pitch);
+        const nearDepth = radius * 0.05;
+
+        // Rotate into camera space (yaw around y, then pitch around x); writes [screenX, screenY, depth]
+        // into out, which is reused across calls to spare millions of small arrays
+        const project = (x, y, z, out = [0, 0, 0]) => {
+            x -= center[0]; y -= center[1]; z -= center[2];
+            const rx = x * cosYaw + z * sinYaw;
+            const rz = -x * sinYaw + z * cosYaw;
+            const ry = y * cosPitch - rz * sinPitch;
+            const depth = distance - (y * sinPitch + rz * cosPitch);
+            const scale = focal / Math.max(depth, nearDepth);
+            out[0] = this.width / 2 + rx * scale; out[1] = this.height / 2 - ry * scale; out[2] = depth;
+            return out;
+        };
+
+        // Segments and filled polygons share one back-to-front order; indices past the segments are polygons
+        const polygons = system.getPolygons3D ? system.getPolygons3D() : [];
+        const count = system.getVisibleSegmentCount ? system.getVisibleSegmentCount() : buffer.count;
+        const total = count + polygons.length;
+        if (total === 0) return;
+        const { coords, widths } = buffer;
+        const screen = new Float32Array(count * 4);
+        const polygonScreen = [];
+        const depths = new Float32Array(total);
+        let minDepth = Infinity, maxDepth = -Infinity;
+        const a = [0, 0, 0], b = [0, 0, 0];
+        for (let i = 0; i < count; i++) {
+            const c = i * 6;
+            project(coords[c], coords[c + 1], coords[c + 2], a);
+            project(coords[c + 3], coords[c + 4], coords[c + 5], b);
+            screen[i * 4] = a[0]; screen[i * 4 + 1] = a[1]; screen[i * 4 + 2] = b[0]; screen[i * 4 + 3] = b[1];
+            depths[i] = (a[2] + b[2]) / 2;
+        }
+        polygons.forEach((polygon, j) => {
+            const points = polygon.points.map(([x, y, z]) => project(x, y, z));
+            polygonScreen.push(points);
+            depths[count + j] = points.reduce((sum, point) => sum + point[2], 0) / points.length;
         });
+        for (let i = 0; i < total; i++) {
+            if (depths[i] < minDepth) minDepth = depths[i];
+            if (depths[i] > maxDepth) maxDepth = depths[i];
+        }
+        const order = depthOrder(depths, minDepth, maxDepth); // Far first
+
+        // Batch consecutive segments that share a color, a shade bucket and a rounded width
+        const SHADES = 12;
+        const depthRange = maxDepth - minDepth || 1;
+        const fadeColor = this.currentPalette.bg || '#0a0c10';
+        const shades = this.turtleColors().map(color =>
+            Array.from({ length: SHADES }, (_, k) => mixColors(color, fadeColor, 0.75 * k / (SHADES - 1))));
+        this.ctx.lineCap = 'round';
+        let batchKey = null;
+        const flush = () => { if (batchKey !== null) this.ctx.stroke(); batchKey = null; };
+        for (const i of order) {
+            if (depths[i] < nearDepth) continue; // Behind the camera
+            const shade = Math.min(SHADES - 1, Math.floor((depths[i] - minDepth) / depthRange * SHADES));
+            if (i >= count) {
+                flush();
+                const polygon = polygons[i - count];
+                this.ctx.fillStyle = shades[(polygon.color || 0) % shades.length][shade];
+                this.ctx.beginPath();
+                polygonScreen[i - count].forEach(([x, y], k) => k === 0 ? this.ctx.moveTo(x, y) : this.ctx.lineTo(x, y));
+                this.ctx.closePath();
+                this.ctx.fill();
+                continue;
+            }
+            const colorIndex = buffer.colors[i] % shades.length;
+            const width = Math.max(0.5, Math.round(widths[i] * fitDistance / depths[i] * 2) / 2);
+            const key = (colorIndex * SHADES + shade) * 10000 + width;
+            if (key !== batchKey) {
+                flush();
+                this.ctx.strokeStyle = shades[colorIndex][shade];
+                this.ctx.lineWidth = width;
+                this.ctx.beginPath();
+                batchKey = key;
+            }
+            this.ctx.moveTo(screen[i * 4], screen[i * 4 + 1]);
+            this.ctx.lineTo(screen[i * 4 + 2], screen[i * 4 + 3]);
+        }
+        flush();
     }
 
     renderAgentSystem(system) {
@@ -216,22 +563,6 @@ export default class CanvasRenderer {
         this.ctx.putImageData(this.imageData, 0, 0);
     }
 
-    drawLeaf(x, y, leafInfo, palette) {
-         this.ctx.fillStyle = leafInfo.color || palette.special || '#ff70a6';
-        let size = leafInfo.size || 3;
-         this.ctx.beginPath();
-         switch(leafInfo.type) {
-            case 'circle':
-                 ctx.arc(x, y, size, 0, Math.PI * 2);
-                 break;
-            // Add other leaf shapes
-             default: // Default to circle
-                 ctx.arc(x, y, size, 0, Math.PI * 2);
-                 break;
-         }
-        ctx.fill();
-    }
-
     updateAgentTrails(agentData) {
         if (!this.imageData || !this.imageBuffer) return;
 
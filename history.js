@@ -0,0 +1,85 @@
+// --- history.js ---
+// Bounded ring of system snapshots behind the lab's step-back button and timeline slider.
+// Snapshots come from GenerativeSystem.createSnapshot(keyframe): full ones are keyframes, the
+// others store changes against a keyframe and reference it as `base`. Old entries are evicted a
+// keyframe group at a time so no delta outlives the keyframe it needs.
+
+const KEYFRAME_INTERVAL = 32; // Force a full snapshot after this many deltas
+
+export class SnapshotHistory {
+    constructor({ maxEntries = 1000, maxBytes = 64 * 1024 * 1024 } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.clear();
+    }
+
+    clear() {
+        this.entries = [];
+        this.cursor = -1; // Index of the snapshot matching the system's current state
+        this.totalBytes = 0;
+        this.deltasSinceKeyframe = 0;
+    }
+
+    get length() { return this.entries.length; }
+    isAtEnd() { return this.cursor === this.entries.length - 1; }
+    canStepBack() { return this.cursor > 0; }
+    getIteration(index) { return this.entries[index] ? this.entries[index].iteration : undefined; }
+
+    // Snapshot the system after the current entry. Anything after the cursor is discarded first,
+    // so continuing from an earlier point starts a new branch. Returns false if unsupported.
+    capture(system) {
+        this.truncateAfter(this.cursor);
+        const last = this.entries[this.entries.length - 1];
+        const keyframe = last && this.deltasSinceKeyframe < KEYFRAME_INTERVAL ? (last.base || last) : null;
+        const snapshot = system.createSnapshot(keyframe);
+        if (!snapshot) return false;
+
+        this.deltasSinceKeyframe = snapshot.base ? this.deltasSinceKeyframe + 1 : 0;
+        this.entries.push(snapshot);
+        this.totalBytes += snapshot.byteSize || 0;
+        this.cursor = this.entries.length - 1;
+        this.evict();
+        return true;
+    }
+
+    // Replace the current entry, e.g. after the user edited the state without stepping
+    recapture(system) {
+        if (this.cursor < 0) return this.capture(system);
+        this.cursor--;
+        return this.capture(system);
+    }
+
+    restore(system, index) {
+        const snapshot = this.entries[index];
+        if (!snapshot) return false;
+        system.restoreSnapshot(snapshot); // Throws if the snapshot no longer fits (e.g. grid resized)
+        this.cursor = index;
+        return true;
+    }
+
+    stepBack(system) {
+        return this.canStepBack() && this.restore(system, this.cursor - 1);
+    }
+
+    truncateAfter(index) {
+        if (index >= this.entries.length - 1) return;
+        const removed = this.entries.splice(index + 1);
+        removed.forEach(snapshot => { this.totalBytes -= snapshot.byteSize || 0; });
+        // Recount the deltas hanging off the keyframe that is now last
+        const last = this.entries[this.entries.length - 1];
+        const keyframe = last ? (last.base || last) : null;
+        this.deltasSinceKeyframe = this.entries.filter(snapshot => snapshot.base && snapshot.base === keyframe).length;
+    }
+
+    // Drop the oldest keyframe and its deltas until both limits hold; the current entry is always kept
+    evict() {
+        while (this.entries.length > 1 && (this.entries.length > this.maxEntries || this.totalBytes > this.maxBytes)) {
+            const keyframe = this.entries[0];
+            let groupSize = 1;
+            while (groupSize < this.entries.length && this.entries[groupSize].base === keyframe) groupSize++;
+            if (groupSize > this.cursor) break;
+            this.entries.splice(0, groupSize).forEach(snapshot => { this.totalBytes -= snapshot.byteSize || 0; });
+            this.cursor -= groupSize;
+        }
+    }
+}
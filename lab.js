@@ -1,5 +1,7 @@
 import CanvasRenderer from './canvas_renderer.js'; // Keep this
 import { createSystemInstance } from './system_factory.js'; // This path is fine
+import { SnapshotHistory } from './history.js';
+import { MetricsLog, MetricsChart } from './metrics_chart.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     console.log("GenSys Lab Initializing...");
@@ -10,16 +12,23 @@ document.addEventListener('DOMContentLoaded', () => {
     const playPauseButton = document.getElementById('play-pause-button');
     const playIcon = playPauseButton.querySelector('i');
     const stepButton = document.getElementById('step-button');
+    const stepBackButton = document.getElementById('step-back-button');
     const resetButton = document.getElementById('reset-button');
     const speedSlider = document.getElementById('speed-slider');
     const speedValueDisplay = document.getElementById('speed-value');
+    const timelineSlider = document.getElementById('timeline-slider');
+    const timelineValueDisplay = document.getElementById('timeline-value');
     const paramsContainer = document.getElementById('dynamic-params');
     const currentSystemNameDisplay = document.getElementById('current-system-name');
     const iterationCountDisplay = document.getElementById('iteration-count');
     const populationCountDisplay = document.getElementById('population-count');
+    const systemInfoItems = document.getElementById('system-info-items');
     const colorPaletteSelector = document.getElementById('color-palette');
     const gridToggle = document.getElementById('toggle-grid');
     const interactionHint = document.getElementById('interaction-hint');
+    const autoPauseToggle = document.getElementById('auto-pause');
+    const metricsCanvas = document.getElementById('metrics-chart');
+    const exportMetricsButton = document.getElementById('export-metrics-button');
 
     if (!canvas || !systemTypeSelector || !playPauseButton || !stepButton || !resetButton || !speedSlider || !paramsContainer || !colorPaletteSelector) {
         console.error("Fatal Error: Core UI element not found!");
@@ -31,13 +40,20 @@ document.addEventListener('DOMContentLoaded', () => {
     let renderer = null;
     let isRunning = false;
     let animationFrameId = null;
+    let pendingWorkFrameId = null; // Frame that continues a system's leftover work (see GenerativeSystem.hasPendingWork)
     let lastTimestamp = 0;
     let targetInterval = 1000 / 10; // Corresponds to initial speed slider value (10 fps)
+    let lastSteadyStateKey = null; // Steady state that last auto-paused the run, so resuming doesn't re-pause
+    const snapshotHistory = new SnapshotHistory(); // Earlier states for step back and the timeline slider
+    let stateEdited = false; // Cells drawn or parameters changed since the current snapshot was taken
+    const metricsLog = new MetricsLog(); // Population and getStatistics() per step, for the chart and CSV
+    let metricsChart = null;
 
     // --- Initialize ---
     function initialize() {
         console.log("Setting up simulation environment...");
         renderer = new CanvasRenderer(canvas);
+        if (metricsCanvas) metricsChart = new MetricsChart(metricsCanvas);
         loadSystem(systemTypeSelector.value); // Load initial system
         setupEventListeners();
         resizeCanvas(); // Initial size adjustment
@@ -63,6 +79,8 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         currentSystem.reset();
+        resetHistory();
+        resetMetrics();
         populateParameterControls();
         renderer.setVisualizationParams({
              gridEnabled: gridToggle.checked,
@@ -111,8 +129,9 @@ document.addEventListener('DOMContentLoaded', () => {
                     valueSpan.classList.add('param-value-display');
                     valueSpan.textContent = inputElement.value;
                     inputElement.addEventListener('input', (e) => {
-                         currentSystem.setParamValue(param.id, parseFloat(e.target.value));
+                         applyParamValue(param.id, parseFloat(e.target.value), controlDiv);
                         valueSpan.textContent = e.target.value;
+                        requestRedraw(); // Visual parameters (e.g. zoom) should show while paused
                     });
                     controlDiv.appendChild(inputElement);
                     controlDiv.appendChild(valueSpan);
@@ -125,7 +144,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     if(param.step !== undefined) inputElement.step = param.step;
                      inputElement.value = currentSystem.getParamValue(param.id);
                      inputElement.addEventListener('change', (e) => { // Use change for number fields
-                         currentSystem.setParamValue(param.id, parseFloat(e.target.value));
+                         applyParamValue(param.id, parseFloat(e.target.value), controlDiv);
                      });
                      controlDiv.appendChild(inputElement);
                      break;
@@ -134,7 +153,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     inputElement.type = 'checkbox';
                     inputElement.checked = currentSystem.getParamValue(param.id);
                      inputElement.addEventListener('change', (e) => {
-                         currentSystem.setParamValue(param.id, e.target.checked);
+                         applyParamValue(param.id, e.target.checked, controlDiv);
                     });
                     // Checkbox is typically smaller, maybe different layout
                      controlDiv.classList.add('param-control-checkbox');
@@ -146,8 +165,10 @@ document.addEventListener('DOMContentLoaded', () => {
                      inputElement.value = currentSystem.getParamValue(param.id);
                      // Update on blur might be better for textareas
                     inputElement.addEventListener('blur', (e) => {
-                         currentSystem.setParamValue(param.id, e.target.value);
-                         currentSystem.reset(); // Need to reset L-System on rule change
+                         if (!applyParamValue(param.id, e.target.value, controlDiv)) return;
+                         if (param.resetOnChange !== false) {
+                             currentSystem.reset(); // Need to reset L-System on rule change
+                         }
                          requestRedraw();
                     });
                      controlDiv.appendChild(inputElement);
@@ -157,20 +178,58 @@ document.addEventListener('DOMContentLoaded', () => {
                     inputElement.textContent = param.buttonText || 'Trigger';
                     inputElement.addEventListener('click', () => {
                          if(typeof currentSystem.triggerAction === 'function'){
-                             currentSystem.triggerAction(param.id);
+                             const succeeded = runParamAction(controlDiv, () => currentSystem.triggerAction(param.id));
+                             if (succeeded) populateParameterControls(); // Actions may update other parameters (e.g. export text)
                          }
+                         updateInfoDisplay();
                          requestRedraw();
                     });
                      controlDiv.appendChild(inputElement);
                      break;
+                case 'select': // Presets and other fixed choices
+                    inputElement = document.createElement('select');
+                    (param.options || []).forEach(opt => {
+                        const optionElement = document.createElement('option');
+                        optionElement.value = opt.value;
+                        optionElement.textContent = opt.label;
+                        inputElement.appendChild(optionElement);
+                    });
+                    inputElement.value = currentSystem.getParamValue(param.id);
+                    inputElement.addEventListener('change', (e) => {
+                        if (applyParamValue(param.id, e.target.value, controlDiv)) {
+                            populateParameterControls(); // A choice may change other parameters (e.g. preset -> rule)
+                            updateUI(); // ...or the interaction hint (e.g. drawing tool)
+                            requestRedraw();
+                        }
+                    });
+                    controlDiv.appendChild(inputElement);
+                    break;
+                case 'file': // Text file upload, contents are passed to the system as the value
+                    inputElement = document.createElement('input');
+                    inputElement.type = 'file';
+                    if (param.accept) inputElement.accept = param.accept;
+                    inputElement.addEventListener('change', async (e) => {
+                        const file = e.target.files[0];
+                        if (!file) return;
+                        const text = await file.text();
+                        if (applyParamValue(param.id, text, controlDiv)) {
+                            populateParameterControls();
+                        }
+                        updateInfoDisplay();
+                        requestRedraw();
+                    });
+                    controlDiv.appendChild(inputElement);
+                    break;
 
-                // Add more types as needed (select, color picker)
+                // Add more types as needed (color picker)
                 default:
                      inputElement = document.createElement('input');
                      inputElement.type = 'text';
                      inputElement.value = currentSystem.getParamValue(param.id);
                     inputElement.addEventListener('change', (e) => {
-                         currentSystem.setParamValue(param.id, e.target.value);
+                         if (applyParamValue(param.id, e.target.value, controlDiv)) {
+                             populateParameterControls(); // Keep linked controls (e.g. preset selector) in sync
+                         }
                     });
                     controlDiv.appendChild(inputElement);
             }
@@ -179,6 +238,33 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Pass a control value to the system; rejected values (system throws) are shown under the control
+    function applyParamValue(paramId, value, controlDiv) {
+        const applied = runParamAction(controlDiv, () => currentSystem.setParamValue(paramId, value));
+        schedulePendingWork(); // Controls that don't redraw still get the regenerated system finished
+        return applied;
+    }
+
+    // Run a parameter change or action, showing any thrown error message under its control
+    function runParamAction(controlDiv, action) {
+        let errorDisplay = controlDiv.querySelector('.param-error');
+        try {
+            action();
+            stateEdited = true;
+        } catch (e) {
+            console.warn("Parameter change rejected:", e.message);
+            if (!errorDisplay) {
+                errorDisplay = document.createElement('p');
+                errorDisplay.classList.add('param-error');
+                controlDiv.appendChild(errorDisplay);
+            }
+            errorDisplay.textContent = e.message;
+            return false;
+        }
+        if (errorDisplay) errorDisplay.remove();
+        return true;
+    }
+
     // --- Animation Loop & Simulation Step ---
     function startAnimationLoop() {
         if (!animationFrameId) {
@@ -211,11 +297,29 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Long generation (e.g. a deep L-system) continues one slice per frame, showing the partial
+    // result, so the page stays responsive; a reset or parameter change simply starts over
+    function schedulePendingWork() {
+        if (pendingWorkFrameId || !currentSystem || typeof currentSystem.hasPendingWork !== 'function' || !currentSystem.hasPendingWork()) return;
+        pendingWorkFrameId = requestAnimationFrame(() => {
+            pendingWorkFrameId = null;
+            if (!currentSystem.hasPendingWork()) return;
+            currentSystem.continueWork();
+            updateInfoDisplay();
+            requestRedraw(); // Schedules the next slice
+        });
+    }
+
     function stepSimulation() {
         if (currentSystem && typeof currentSystem.step === 'function') {
              try{
-                currentSystem.step();
+                if (stateEdited) snapshotHistory.recapture(currentSystem); // Keep the edit when stepping back here
+                currentSystem.step(renderer); // Agent systems read their trail map from the renderer
+                stateEdited = false;
+                snapshotHistory.capture(currentSystem); // Continuing from an earlier point drops the later entries
+                recordMetrics();
                  updateInfoDisplay(); // Update iteration count etc.
+                 checkAutoPause();
              } catch (e){
                  console.error("Error during simulation step:", e);
                  isRunning = false; // Stop on error
@@ -224,12 +328,88 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Pause once per newly detected steady state (still life, oscillator, spaceship, extinction)
+    function checkAutoPause() {
+        const state = typeof currentSystem.getSteadyState === 'function' ? currentSystem.getSteadyState() : null;
+        if (!state) {
+            lastSteadyStateKey = null;
+            return;
+        }
+        const key = `${state.kind}:${state.period}:${state.since}`;
+        if (isRunning && autoPauseToggle && autoPauseToggle.checked && key !== lastSteadyStateKey) {
+            isRunning = false;
+            updateUI();
+            console.log("Auto-paused:", state.kind, state.period);
+        }
+        lastSteadyStateKey = key;
+    }
+
+    // --- History (step back / timeline) ---
+    function resetHistory() {
+        snapshotHistory.clear();
+        stateEdited = false;
+        if (currentSystem) snapshotHistory.capture(currentSystem); // Systems without snapshots leave it empty
+        updateTimelineDisplay();
+    }
+
+    // Jump to an earlier (or later) snapshot; the run pauses so the user can look or branch from there
+    function restoreHistoryEntry(index) {
+        isRunning = false;
+        try {
+            snapshotHistory.restore(currentSystem, index);
+            stateEdited = false;
+        } catch (e) {
+            console.warn("History discarded:", e.message); // e.g. the grid was resized since
+            resetHistory();
+        }
+        updateUI();
+        requestRedraw();
+    }
+
+    function updateTimelineDisplay() {
+        if (!timelineSlider || !stepBackButton) return;
+        const count = snapshotHistory.length, cursor = snapshotHistory.cursor;
+        timelineSlider.max = Math.max(0, count - 1);
+        timelineSlider.value = Math.max(0, cursor);
+        timelineSlider.disabled = count < 2;
+        stepBackButton.disabled = !snapshotHistory.canStepBack();
+        if (timelineValueDisplay) {
+            timelineValueDisplay.textContent = count === 0 ? 'Not available' : `Gen ${snapshotHistory.getIteration(cursor)} (${cursor + 1}/${count})`;
+        }
+    }
+
+    // --- Metrics (chart and CSV export) ---
+    function resetMetrics() {
+        metricsLog.clear();
+        recordMetrics();
+    }
+
+    function recordMetrics() {
+        if (!currentSystem) return;
+        const population = Number(currentSystem.getPopulation ? currentSystem.getPopulation() : NaN);
+        const items = Number.isFinite(population) ? [{ label: 'Population', value: population }] : [];
+        if (typeof currentSystem.getStatistics === 'function') items.push(...currentSystem.getStatistics());
+        metricsLog.record(currentSystem.getIteration(), items);
+        if (metricsChart) metricsChart.draw(metricsLog);
+    }
+
+    function exportMetrics() {
+        const blob = new Blob([metricsLog.toCSV()], { type: 'text/csv' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.href = url;
+        link.download = `${systemTypeSelector.value}-metrics.csv`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0); // After the download has started
+    }
+
     function requestRedraw() {
         // Basic redraw implementation
         // Could be smarter (only draw if needed, requestAnimationFrame decoupling)
          if (renderer && currentSystem) {
             renderer.render(currentSystem);
          }
+        schedulePendingWork();
      }
 
 
@@ -258,7 +438,18 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!currentSystem || !iterationCountDisplay || !populationCountDisplay) return;
         iterationCountDisplay.textContent = currentSystem.getIteration ? currentSystem.getIteration() : '-';
         populationCountDisplay.textContent = currentSystem.getPopulation ? currentSystem.getPopulation() : '-';
-        // Update other system-specific info if elements exist
+        updateTimelineDisplay();
+        // System-specific rows (e.g. ant positions), rebuilt on every update
+        if (systemInfoItems) {
+            const items = typeof currentSystem.getInfoItems === 'function' ? currentSystem.getInfoItems() : [];
+            systemInfoItems.replaceChildren(...items.map(item => {
+                const row = document.createElement('p');
+                const value = document.createElement('span');
+                value.textContent = item.value;
+                row.append(`${item.label}: `, value);
+                return row;
+            }));
+        }
      }
 
      function setupEventListeners() {
@@ -285,15 +476,28 @@ document.addEventListener('DOMContentLoaded', () => {
                 requestRedraw();
             }
          });
+        if (stepBackButton) {
+            stepBackButton.addEventListener('click', () => {
+                if (currentSystem && snapshotHistory.canStepBack()) restoreHistoryEntry(snapshotHistory.cursor - 1);
+            });
+        }
+        if (timelineSlider) {
+            timelineSlider.addEventListener('input', (e) => {
+                if (currentSystem) restoreHistoryEntry(parseInt(e.target.value, 10));
+            });
+        }
         resetButton.addEventListener('click', () => {
             if (currentSystem) {
                 isRunning = false; // Pause on reset
                 currentSystem.reset();
+                resetHistory();
+                resetMetrics();
                 updateUI();
                 requestRedraw();
                  console.log("Simulation Reset.");
             }
         });
+        if (exportMetricsButton) exportMetricsButton.addEventListener('click', exportMetrics);
         speedSlider.addEventListener('input', () => {
             updateUI(); // Update display and targetInterval
         });
@@ -319,7 +523,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 const coords = getCanvasCoords(e);
                 if (coords) {
                     isDrawing = true;
+                    stateEdited = true;
                     currentSystem.handleMouseDown(coords.x, coords.y, e.button);
+                    updateInfoDisplay(); // Clicks may add or remove things shown in the info panel
                     requestRedraw();
                  }
              }
@@ -331,14 +537,32 @@ document.addEventListener('DOMContentLoaded', () => {
                     currentSystem.handleMouseMove(coords.x, coords.y);
                     requestRedraw();
                 }
+            } else if (!isDrawing && currentSystem && typeof currentSystem.handleMouseHover === 'function') {
+                const coords = getCanvasCoords(e);
+                if (coords && currentSystem.handleMouseHover(coords.x, coords.y)) requestRedraw(); // e.g. stamp ghost
             }
-             // Maybe update interaction hint based on hover?
          });
-        canvas.addEventListener('mouseup', (e) => {
+        canvas.addEventListener('mouseleave', () => {
+            if (currentSystem && typeof currentSystem.handleMouseLeave === 'function' && currentSystem.handleMouseLeave()) {
+                requestRedraw();
+            }
+        });
+
+        // Keyboard shortcuts for the current system (e.g. stamp rotation), except while typing in a control
+        document.addEventListener('keydown', (e) => {
+            if (e.target.closest('input, textarea, select') || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (currentSystem && typeof currentSystem.handleKeyDown === 'function' && currentSystem.handleKeyDown(e.key)) {
+                e.preventDefault();
+                stateEdited = true;
+                requestRedraw();
+            }
+        });
+        // Listen on the window so a drag released outside the canvas still ends (clamped to the edge)
+        window.addEventListener('mouseup', (e) => {
             if (isDrawing) {
                  isDrawing = false;
                 if (currentSystem && typeof currentSystem.handleMouseUp === 'function') {
-                    const coords = getCanvasCoords(e);
+                    const coords = getCanvasCoords(e, true);
                      if(coords) currentSystem.handleMouseUp(coords.x, coords.y);
                     // Maybe trigger final redraw or action
                      requestRedraw();
@@ -362,16 +586,21 @@ document.addEventListener('DOMContentLoaded', () => {
                  if (renderer) {
                     renderer.onResize(); // Renderer might need internal adjustments
                 }
+                resetHistory(); // Earlier snapshots were taken at the old size
                 requestRedraw(); // Redraw after resize
              }, 250); // Debounce resize
         });
      }
 
      // --- Utility Functions ---
-    function getCanvasCoords(event) {
+    function getCanvasCoords(event, clampToCanvas = false) {
          const rect = canvas.getBoundingClientRect();
-        const x = Math.floor(event.clientX - rect.left);
-        const y = Math.floor(event.clientY - rect.top);
+        let x = Math.floor(event.clientX - rect.left);
+        let y = Math.floor(event.clientY - rect.top);
+         if (clampToCanvas) {
+             x = Math.min(canvas.width - 1, Math.max(0, x));
+             y = Math.min(canvas.height - 1, Math.max(0, y));
+         }
          // Basic bounds check
          if(x >= 0 && x < canvas.width && y >= 0 && y < canvas.height) {
              return { x, y };
@@ -0,0 +1,116 @@
+// --- metrics_chart.js ---
+// Time series of population and the numbers a system reports through getStatistics(), drawn as a
+// scrolling chart under System Info and exportable as CSV.
+
+const MAX_SAMPLES = 200000; // Rows kept (about 55 min at 60 fps)
+const DROP_BLOCK = 20000; // Past MAX_SAMPLES the oldest rows go this many at a time, so arrays rarely shift
+const SERIES_COLORS = ['#58a6ff', '#ff70a6', '#77cc77', '#f0a050', '#c39bff', '#e6edf3'];
+
+// Full series, one row per recorded step. Columns appear as systems first report them.
+export class MetricsLog {
+    constructor() { this.clear(); }
+
+    clear() {
+        this.iterations = [];
+        this.series = new Map(); // label -> values, aligned with iterations (NaN where missing)
+    }
+
+    get length() { return this.iterations.length; }
+
+    // Add a row; rows at or after this iteration are dropped first, so a run continued from an
+    // earlier point in the history replaces the old future instead of mixing with it
+    record(iteration, items) {
+        let keep = this.iterations.length;
+        while (keep > 0 && this.iterations[keep - 1] >= iteration) keep--;
+        this.truncate(keep);
+
+        this.iterations.push(iteration);
+        for (const { label, value } of items) {
+            if (!this.series.has(label)) this.series.set(label, new Array(this.iterations.length - 1).fill(NaN));
+            const values = this.series.get(label);
+            if (values.length < this.iterations.length) values.push(Number(value));
+        }
+        for (const values of this.series.values()) {
+            if (values.length < this.iterations.length) values.push(NaN); // Not reported this step
+        }
+        if (this.iterations.length > MAX_SAMPLES) {
+            this.iterations.splice(0, DROP_BLOCK);
+            for (const values of this.series.values()) values.splice(0, DROP_BLOCK);
+        }
+    }
+
+    truncate(length) {
+        if (length >= this.iterations.length) return;
+        this.iterations.length = length;
+        for (const values of this.series.values()) values.length = length;
+    }
+
+    toCSV() {
+        const quote = text => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        const labels = [...this.series.keys()];
+        const columns = labels.map(label => this.series.get(label));
+        const lines = [['iteration', ...labels].map(quote).join(',')];
+        for (let row = 0; row < this.iterations.length; row++) {
+            const cells = columns.map(values => Number.isFinite(values[row]) ? String(values[row]) : '');
+            lines.push([this.iterations[row], ...cells].join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Draws the most recent samples (one per pixel column). Each series is scaled to its own range
+// over the visible window, since population and densities differ by orders of magnitude.
+export class MetricsChart {
+    constructor(canvasElement) {
+        this.canvas = canvasElement;
+        this.ctx = canvasElement.getContext('2d');
+    }
+
+    draw(log) {
+        const { ctx, canvas } = this;
+        const width = canvas.width, height = canvas.height;
+        ctx.fillStyle = '#11141c';
+        ctx.fillRect(0, 0, width, height);
+        if (log.length === 0) return;
+
+        const count = Math.min(log.length, width);
+        const start = log.length - count;
+        const top = 4, plotHeight = height - 8;
+        const xAt = i => count > 1 ? (i / (count - 1)) * (width - 1) : width - 1;
+
+        ctx.font = '10px Roboto Mono';
+        ctx.lineWidth = 1;
+        let legendY = 12;
+        [...log.series.entries()].forEach(([label, values], index) => {
+            let min = Infinity, max = -Infinity;
+            for (let i = start; i < log.length; i++) {
+                if (values[i] < min) min = values[i];
+                if (values[i] > max) max = values[i];
+            }
+            if (min === Infinity) return; // Nothing to plot in this window
+            const range = max - min || 1;
+            const color = SERIES_COLORS[index % SERIES_COLORS.length];
+
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            let penDown = false;
+            for (let i = 0; i < count; i++) {
+                const value = values[start + i];
+                if (!Number.isFinite(value)) { penDown = false; continue; }
+                const y = top + plotHeight - ((value - min) / range) * plotHeight;
+                if (penDown) ctx.lineTo(xAt(i), y); else ctx.moveTo(xAt(i), y);
+                penDown = true;
+            }
+            ctx.stroke();
+
+            const latest = values[log.length - 1];
+            ctx.fillStyle = color;
+            ctx.fillText(`${label}: ${Number.isFinite(latest) ? formatValue(latest) : '-'}`, 4, legendY);
+            legendY += 12;
+        });
+    }
+}
+
+function formatValue(value) {
+    return Number.isInteger(value) ? String(value) : value.toPrecision(4);
+}
@@ -1,44 +1,31 @@
 // --- System Factory Module ---
 // Import classes from their dedicated files
-import { ConwayLife, BrianBrain } from './systems/cellular_automata.js';
-import { LSystemTree, KochSnowflake } from './systems/l_system.js';
+import { ConwayLife, Generations, BrianBrain, Wireworld } from './systems/cellular_automata.js';
+import { LSystemTree, KochSnowflake, LSystemGallery, LSystem3D } from './systems/l_system.js';
 import { SlimeMold } from './systems/agent_system.js';
+import { GrayScott } from './systems/reaction_diffusion.js';
+import { Turmites } from './systems/turmite.js';
+import { HashLife } from './systems/hashlife.js';
+import { ElementaryCA } from './systems/elementary_ca.js';
+import { Lenia } from './systems/lenia.js';
 import { GenerativeSystem } from './base_system.js'; // Updated import
 
-// --- Base System Class (Optional but good practice) ---
-export class GenerativeSystem {
-    constructor(width, height) {
-       this.width = width;
-       this.height = height;
-        this.iteration = 0;
-        // Define standard methods expected by lab.js
-        this.name = "Base System";
-   }
-   step() { /* Implement in subclass */ this.iteration++; }
-   reset() { /* Implement in subclass */ this.iteration = 0; }
-   getParameters() { return []; /* Subclass should define params */ }
-    getParamValue(paramId) { return undefined; /* Subclass implements */ }
-    setParamValue(paramId, value) { /* Subclass implements */ }
-    getIteration() { return this.iteration; }
-    getPopulation() { return '-'; /* Subclass implements if applicable */ }
-   getVisualizationHints() { return {}; /* Subclass provides render mode, cell size etc. */ }
-   getInteractionHint() { return 'Observing'; /* Subclass provides interaction details */ }
-   // Interaction handlers - optional, implement if system needs them
-   handleMouseDown(x, y, button) {}
-    handleMouseMove(x, y) {}
-   handleMouseUp(x, y) {}
-    onResize(newWidth, newHeight) { this.width = newWidth; this.height = newHeight; /* May need grid resize etc */ }
-    destroy() { /* Optional cleanup */ }
-    updateRendererBuffer(renderer) { /* Default: do nothing */ }
-}
-
 // --- Mapping from System ID to Class ---
 const systemRegistry = {
     'ca_life': ConwayLife,
     'ca_brain': BrianBrain,          // NEW
+    'ca_generations': Generations,
+    'ca_wireworld': Wireworld,
+    'ca_hashlife': HashLife,
+    'ca_elementary': ElementaryCA,
+    'ca_lenia': Lenia,
+    'ca_turmites': Turmites,
     'l_system_tree': LSystemTree,
     'l_system_koch': KochSnowflake,  // NEW
-    'agent_slime': SlimeMold         // NEW
+    'l_system_gallery': LSystemGallery,
+    'l_system_3d': LSystem3D,
+    'agent_slime': SlimeMold,        // NEW
+    'rd_gray_scott': GrayScott
 };
 
 // --- Factory Function ---
@@ -1,7 +1,8 @@
 // --- systems/agent_system.js ---
-import { GenerativeSystem } from '../system_factory.js';
+import { GenerativeSystem } from '../base_system.js';
 
 function random(min, max) { return Math.random() * (max - min) + min; }
+function degreesToRadians(degrees) { return degrees * (Math.PI / 180); }
 
 // --- Agent Class ---
 class Agent {
@@ -172,8 +173,61 @@ export class SlimeMold extends GenerativeSystem {
 
      // --- Methods for Lab Interface ---
      getAgents() { return this.agents; }
+
+    // History: agents packed as (x, y, angle) floats, plus the pheromone (green) and alpha channels
+    // of the renderer's trail buffer. Always a full snapshot since decay touches every pixel.
+    createSnapshot() {
+        const agents = new Float32Array(this.agents.length * 3);
+        this.agents.forEach((agent, i) => {
+            agents[i * 3] = agent.x;
+            agents[i * 3 + 1] = agent.y;
+            agents[i * 3 + 2] = agent.angle;
+        });
+        let trail = null;
+        if (this.trailMapData && !this.needsBufferUpdate) {
+            const data = this.trailMapData;
+            trail = new Uint8Array(data.length / 2);
+            for (let p = 0, t = 0; p < data.length; p += 4, t += 2) {
+                trail[t] = data[p + 1];
+                trail[t + 1] = data[p + 3];
+            }
+        }
+        return { iteration: this.iteration, width: this.width, height: this.height, agents, trail,
+            byteSize: agents.byteLength + (trail ? trail.byteLength : 0) };
+    }
+
+    restoreSnapshot(snapshot) {
+        if (snapshot.width !== this.width || snapshot.height !== this.height) {
+            throw new Error(`Snapshot is for a ${snapshot.width}x${snapshot.height} canvas, the canvas is now ${this.width}x${this.height}.`);
+        }
+        const { agents, trail } = snapshot;
+        this.agents = [];
+        for (let i = 0; i < agents.length; i += 3) {
+            this.agents.push(new Agent(agents[i], agents[i + 1], agents[i + 2], this.params));
+        }
+        const data = this.trailMapData;
+        if (data && trail && data.length === trail.length * 2) {
+            for (let p = 0, t = 0; p < data.length; p += 4, t += 2) {
+                data[p + 1] = trail[t];
+                data[p + 3] = trail[t + 1];
+            }
+            this.needsBufferUpdate = false;
+        } else {
+            this.needsBufferUpdate = true; // Taken before the first step: start from a cleared buffer
+            if (data) data.fill(0);
+        }
+        this.iteration = snapshot.iteration;
+    }
      // Population doesn't really apply here in the same way, return agent count?
      getPopulation() { return this.agents.length; }
+    // Mean pheromone level (0-255) over the trail map
+    getStatistics() {
+        const data = this.trailMapData;
+        if (!data || this.needsBufferUpdate) return [{ label: 'Mean trail', value: 0 }]; // Cleared on the next step
+        let sum = 0;
+        for (let p = 1; p < data.length; p += 4) sum += data[p];
+        return [{ label: 'Mean trail', value: sum / (data.length / 4) }];
+    }
     getVisualizationHints() { return { renderMode: 'agents' }; }
     getInteractionHint() { return 'Observing Agent Movement'; }
      // No specific interaction for this basic version
@@ -1,9 +1,223 @@
 // --- systems/cellular_automata.js ---
-import { GenerativeSystem } from '../base_system.js'; // Ensure this is the only import
+import { GenerativeSystem } from '../base_system.js';
+import { parsePattern, encodeRLE, createPattern } from './pattern_io.js';
+import { BOUNDARY_OPTIONS, isValidBoundary, resolveBoundaryCell } from './grid_boundary.js';
+import { GridPainter, lineCells, rectCells } from './grid_tools.js';
+import { PeriodDetector, describeSteadyState } from './period_detector.js';
+import { NEIGHBORHOOD_OPTIONS, MAX_NEIGHBORHOOD_RADIUS, isValidNeighborhood, isClassicNeighborhood, neighborhoodOffsets,
+    hexCellAt, hexCornerRadius, hexRowSpacing } from './grid_neighborhood.js';
 
-// Helper function for creating grids
-function createGrid(rows, cols, initialValue = 0) {
-    return Array.from({ length: rows }, () => Array(cols).fill(initialValue));
+// Grids are flat Uint8Arrays (index = y * cols + x). Stepping works on square tiles so that
+// regions which did not change last step (and whose neighbors did not either) can be skipped.
+const TILE_SIZE = 16;
+
+// Row views into a flat grid buffer, so grid[y][x] keeps working for code that expects rows
+function createRowViews(buffer, rows, cols) {
+    return Array.from({ length: rows }, (_, y) => buffer.subarray(y * cols, (y + 1) * cols));
+}
+
+// --- Life-like Rulestrings ---
+// Well-known outer-totalistic rules, offered as presets in the parameter panel
+export const LIFE_RULE_PRESETS = [
+    { name: "Conway's Life", rule: 'B3/S23' },
+    { name: 'HighLife', rule: 'B36/S23' },
+    { name: 'Seeds', rule: 'B2/S' },
+    { name: 'Day & Night', rule: 'B3678/S34678' },
+    { name: 'Maze', rule: 'B3/S12345' },
+    { name: 'Mazectric', rule: 'B3/S1234' },
+    { name: 'Life without Death', rule: 'B3/S012345678' },
+    { name: '2x2', rule: 'B36/S125' },
+    { name: 'Replicator', rule: 'B1357/S1357' },
+    { name: 'Diamoeba', rule: 'B35678/S5678' },
+    { name: 'Morley', rule: 'B368/S245' },
+    { name: 'Anneal', rule: 'B4678/S35678' },
+    { name: 'Hex Life (hexagonal)', rule: 'B2/S34H' },
+    { name: 'Parity replicator (von Neumann)', rule: 'B13/S13V' },
+    { name: "Bosco's Rule (Larger than Life)", rule: 'R5,C0,M1,S34-58,B34-45,NM' },
+    { name: 'Majority (Larger than Life)', rule: 'R4,C0,M1,S41-81,B41-81,NM' }
+];
+
+// --- Neighborhood Notation ---
+// Golly's one-letter suffixes for radius-1 B/S rules: B2/S34H (hexagonal), B13/S13V (von Neumann)
+const NEIGHBORHOOD_SUFFIXES = { moore: '', vonneumann: 'V', hex: 'H' };
+// Letters of the N field in range notation (Larger than Life / Golly HROT)
+const RANGE_NEIGHBORHOOD_LETTERS = { moore: 'M', vonneumann: 'N', hex: 'H' };
+
+function neighborhoodFromSuffix(suffix) {
+    const type = Object.keys(NEIGHBORHOOD_SUFFIXES).find(key => NEIGHBORHOOD_SUFFIXES[key] === suffix.toUpperCase());
+    return { type, radius: 1, includeCenter: false };
+}
+
+// Lookup table indexed by neighbor count (0 .. neighborhood size)
+function buildCountTable(counts, neighborhood, ruleString) {
+    const maxCount = neighborhoodOffsets(neighborhood)[0].length;
+    const table = Array(maxCount + 1).fill(false);
+    for (const n of counts) {
+        if (!(n >= 0 && n <= maxCount) || table[n]) {
+            throw new Error(`Invalid rulestring "${ruleString}": bad neighbor count "${n}" (this neighborhood has ${maxCount} cells).`);
+        }
+        table[n] = true;
+    }
+    return table;
+}
+
+// "236" -> [2, 3, 6]
+function digitCounts(digits) { return [...digits].map(Number); }
+
+// Turn a neighbor count lookup table back into its digit list ("236")
+function listCounts(table) { return table.map((on, n) => on ? n : '').join(''); }
+
+// Turn a neighbor count lookup table into range notation ("2-3,5")
+function listCountRanges(table) {
+    const ranges = [];
+    for (let n = 0; n < table.length; n++) {
+        if (!table[n]) continue;
+        const start = n;
+        while (table[n + 1]) n++;
+        ranges.push(start === n ? `${n}` : `${start}-${n}`);
+    }
+    return ranges.join(',');
+}
+
+// Range notation for larger neighborhoods: "R5,C0,M1,S34..58,B34..45,NM" (Larger than Life)
+// or Golly's HROT "R2,C0,S2-3,5,B3,NN". M1 counts the cell itself; C0 and C2 both mean two states.
+function parseRangeRule(text, ruleString) {
+    const lists = { S: [], B: [] };
+    let radius = null, states = 2, includeCenter = false, type = 'moore', list = null;
+    for (const token of text.split(',')) {
+        let match;
+        if ((match = token.match(/^R(\d+)$/i))) {
+            radius = parseInt(match[1], 10);
+        } else if ((match = token.match(/^C(\d+)$/i))) {
+            states = Math.max(2, parseInt(match[1], 10));
+        } else if ((match = token.match(/^M([01])$/i))) {
+            includeCenter = match[1] === '1';
+        } else if ((match = token.match(/^N([A-Z])$/i))) {
+            type = Object.keys(RANGE_NEIGHBORHOOD_LETTERS).find(key => RANGE_NEIGHBORHOOD_LETTERS[key] === match[1].toUpperCase());
+            if (!type) throw new Error(`Invalid rulestring "${ruleString}": unsupported neighborhood "N${match[1]}".`);
+        } else if ((match = token.match(/^([SB])(.*)$/i))) {
+            list = lists[match[1].toUpperCase()];
+            if (match[2]) list.push(match[2]);
+        } else if (list && token) {
+            list.push(token); // Further items of the current S or B list
+        } else {
+            throw new Error(`Invalid rulestring "${ruleString}": unexpected "${token}".`);
+        }
+    }
+    if (!(radius >= 1 && radius <= MAX_NEIGHBORHOOD_RADIUS)) {
+        throw new Error(`Invalid rulestring "${ruleString}": radius must be between 1 and ${MAX_NEIGHBORHOOD_RADIUS}.`);
+    }
+    const expand = items => items.flatMap(item => {
+        const range = item.match(/^(\d+)(?:(?:-|\.\.)(\d+))?$/);
+        if (!range) throw new Error(`Invalid rulestring "${ruleString}": bad count "${item}".`);
+        const from = parseInt(range[1], 10), to = range[2] === undefined ? from : parseInt(range[2], 10);
+        return Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+    });
+    return { birthCounts: expand(lists.B), survivalCounts: expand(lists.S), states, neighborhood: { type, radius, includeCenter } };
+}
+
+// Radius-1 rules keep the familiar B/S digit form, everything else is written in range notation
+function formatRangeRule({ birth, survival, neighborhood }, statesField) {
+    const { type, radius, includeCenter } = neighborhood;
+    return `R${radius},C${statesField},M${includeCenter ? 1 : 0},S${listCountRanges(survival)},B${listCountRanges(birth)},N${RANGE_NEIGHBORHOOD_LETTERS[type]}`;
+}
+function hasShortNotation({ neighborhood }) { return neighborhood.radius === 1 && !neighborhood.includeCenter; }
+
+export function formatLifeRule(rule) {
+    if (!hasShortNotation(rule)) return formatRangeRule(rule, 0);
+    return `B${listCounts(rule.birth)}/S${listCounts(rule.survival)}${NEIGHBORHOOD_SUFFIXES[rule.neighborhood.type]}`;
+}
+
+export function formatGenerationsRule(rule) {
+    if (!hasShortNotation(rule)) return formatRangeRule(rule, rule.states);
+    return `${listCounts(rule.survival)}/${listCounts(rule.birth)}/${rule.states}${NEIGHBORHOOD_SUFFIXES[rule.neighborhood.type]}`;
+}
+
+// Parse "B36/S23" (any order/case, optional H/V suffix), the classic "S/B" form "23/36",
+// or range notation. Returns count lookup tables, the neighborhood and the canonical rulestring.
+export function parseLifeRule(ruleString) {
+    const text = String(ruleString || '').replace(/\s+/g, '');
+    let birthCounts, survivalCounts, neighborhood;
+
+    const bsMatch = text.match(/^B(\d*)\/S(\d*)([HV]?)$/i) || text.match(/^S(\d*)\/B(\d*)([HV]?)$/i);
+    const classicMatch = text.match(/^(\d*)\/(\d*)([HV]?)$/i); // Survival/Birth
+    if (/^R\d/i.test(text)) {
+        const parsed = parseRangeRule(text, ruleString);
+        if (parsed.states > 2) {
+            throw new Error(`Invalid rulestring "${ruleString}": ${parsed.states}-state rules need the Generations system.`);
+        }
+        ({ birthCounts, survivalCounts, neighborhood } = parsed);
+    } else if (bsMatch) {
+        const birthFirst = /^B/i.test(text);
+        birthCounts = digitCounts(birthFirst ? bsMatch[1] : bsMatch[2]);
+        survivalCounts = digitCounts(birthFirst ? bsMatch[2] : bsMatch[1]);
+        neighborhood = neighborhoodFromSuffix(bsMatch[3]);
+    } else if (classicMatch) {
+        survivalCounts = digitCounts(classicMatch[1]);
+        birthCounts = digitCounts(classicMatch[2]);
+        neighborhood = neighborhoodFromSuffix(classicMatch[3]);
+    } else {
+        throw new Error(`Invalid rulestring "${ruleString}": expected notation like B36/S23 or R2,C0,S2-3,B3,NM.`);
+    }
+
+    const birth = buildCountTable(birthCounts, neighborhood, ruleString);
+    const survival = buildCountTable(survivalCounts, neighborhood, ruleString);
+    const rule = { birth, survival, neighborhood, states: 2 };
+    return { ...rule, ruleString: formatLifeRule(rule) };
+}
+
+// --- Generations Rulestrings ---
+// Multi-state rules: live cells that fail to survive decay through C-2 refractory states
+export const GENERATIONS_RULE_PRESETS = [
+    { name: "Brian's Brain", rule: '/2/3' },
+    { name: 'Star Wars', rule: '345/2/4' },
+    { name: 'Frogs', rule: '12/34/3' },
+    { name: 'Sticks', rule: '3456/2/6' },
+    { name: 'Spirals', rule: '2/234/5' },
+    { name: 'Bombers', rule: '345/24/25' },
+    { name: 'Transers', rule: '345/26/5' },
+    { name: 'Swirl', rule: '23/34/8' },
+    { name: 'Cooties', rule: '23/2/8' },
+    { name: 'Lava', rule: '12345/45678/8' },
+    { name: 'Fireworks', rule: '2/13/21' }
+];
+
+// Parse a Generations rule "S/B/C" (e.g. "345/2/4", optional H/V suffix), the prefixed
+// "B2/S345/C4" form, range notation with C > 2, or a plain Life-like rule (C = 2). Throws on invalid input.
+export function parseGenerationsRule(ruleString) {
+    const text = String(ruleString || '').replace(/\s+/g, '');
+    let birthCounts, survivalCounts, neighborhood;
+    let states = 2;
+
+    const plainMatch = text.match(/^(\d*)\/(\d*)\/(\d+)([HV]?)$/i); // S/B/C
+    const prefixedMatch = text.match(/^B(\d*)\/S(\d*)\/C?(\d+)([HV]?)$/i) || text.match(/^S(\d*)\/B(\d*)\/C?(\d+)([HV]?)$/i);
+    if (/^R\d/i.test(text)) {
+        ({ birthCounts, survivalCounts, neighborhood, states } = parseRangeRule(text, ruleString));
+    } else if (plainMatch) {
+        survivalCounts = digitCounts(plainMatch[1]);
+        birthCounts = digitCounts(plainMatch[2]);
+        states = parseInt(plainMatch[3], 10);
+        neighborhood = neighborhoodFromSuffix(plainMatch[4]);
+    } else if (prefixedMatch) {
+        const birthFirst = /^B/i.test(text);
+        birthCounts = digitCounts(birthFirst ? prefixedMatch[1] : prefixedMatch[2]);
+        survivalCounts = digitCounts(birthFirst ? prefixedMatch[2] : prefixedMatch[1]);
+        states = parseInt(prefixedMatch[3], 10);
+        neighborhood = neighborhoodFromSuffix(prefixedMatch[4]);
+    } else if ((text.match(/\//g) || []).length > 1) {
+        throw new Error(`Invalid rulestring "${ruleString}": expected notation like 345/2/4 (S/B/C).`);
+    } else {
+        const lifeRule = parseLifeRule(text); // Two-state rule, reuses Life-like validation
+        return { ...lifeRule, ruleString: formatGenerationsRule(lifeRule) };
+    }
+
+    if (!(states >= 2 && states <= 255)) {
+        throw new Error(`Invalid rulestring "${ruleString}": state count must be between 2 and 255.`);
+    }
+    const birth = buildCountTable(birthCounts, neighborhood, ruleString);
+    const survival = buildCountTable(survivalCounts, neighborhood, ruleString);
+    const rule = { birth, survival, neighborhood, states };
+    return { ...rule, ruleString: formatGenerationsRule(rule) };
 }
 
 // --- Conway's Game of Life Implementation ---
@@ -13,112 +227,425 @@ export class ConwayLife extends GenerativeSystem {
         this.name = "Conway's Game of Life";
          this.params = { // Expose parameters if any (like initial density)
              cellSize: 10,
-             initialDensity: 0.25
+             initialDensity: 0.25,
+             rule: this.getDefaultRule(), // Life-like rulestring, Conway's Life by default
+             boundary: 'torus', // Edge topology, see grid_boundary.js
+             patternText: '', // RLE / plaintext exchange buffer for import & export
+             exportBoundingBox: true,
+             detectSteadyState: true // Hash each generation to spot still lifes, oscillators and spaceships
          };
+        this.ruleNotation = 'B/S'; // Shown in the rule field label
+        this.painter = new GridPainter(this); // Mouse drawing tools
+        this.periodDetector = new PeriodDetector();
         this.cellSize = this.params.cellSize;
         this.calculateGridDimensions();
-        this.grid = createGrid(this.rows, this.cols);
-        this.nextGrid = createGrid(this.rows, this.cols);
+        this.allocateGrid();
         this.population = 0;
+        this.lastBirths = 0; // Per-step counts for getStatistics()
+        this.lastDeaths = 0;
+        this.setRule(this.params.rule);
     }
 
     calculateGridDimensions() {
-        this.cols = Math.max(1, Math.floor(this.width / this.cellSize));
-        this.rows = Math.max(1, Math.floor(this.height / this.cellSize));
+        if (this.getLattice() === 'hex') {
+            // Odd rows stick out half a cell to the right; rows overlap by a quarter hex height
+            this.cols = Math.max(1, Math.floor(this.width / this.cellSize - 0.5));
+            this.rows = Math.max(1, Math.floor((this.height - hexCornerRadius(this.cellSize) / 2) / hexRowSpacing(this.cellSize)));
+        } else {
+            this.cols = Math.max(1, Math.floor(this.width / this.cellSize));
+            this.rows = Math.max(1, Math.floor(this.height / this.cellSize));
+        }
+     }
+
+    // Double-buffered flat storage plus per-tile change flags
+     allocateGrid() {
+         const size = this.rows * this.cols;
+         this.cells = new Uint8Array(size);
+         this.nextCells = new Uint8Array(size);
+         this.grid = createRowViews(this.cells, this.rows, this.cols); // Compatible row accessors
+         this.nextGrid = createRowViews(this.nextCells, this.rows, this.cols);
+         this.tilesX = Math.ceil(this.cols / TILE_SIZE);
+         this.tilesY = Math.ceil(this.rows / TILE_SIZE);
+         this.changedTiles = new Uint8Array(this.tilesX * this.tilesY);
+         this.nextChangedTiles = new Uint8Array(this.tilesX * this.tilesY);
+         this.activeTiles = new Uint8Array(this.tilesX * this.tilesY);
+         this.occupiedTiles = new Uint8Array(this.tilesX * this.tilesY); // Tiles holding any non-zero cell, kept for the period detector
+         // History deltas: tiles that may differ from snapshotBase (the keyframe of lastSnapshot), so a
+         // snapshot only compares those; snapshotDirty says whether any cell changed since lastSnapshot
+         this.snapshotTiles = new Uint8Array(this.tilesX * this.tilesY);
+         this.snapshotBase = null;
+         this.lastSnapshot = null;
+         this.markAllTilesChanged();
+         if (this.rule) this.prepareNeighborhood(); // Flat offsets depend on the column count
+     }
+
+     // Neighbor offsets for the current rule: [dx, dy] pairs for edge cells, flat index deltas for
+     // interior cells, each split by row parity (only hex lattices differ between even and odd rows)
+     prepareNeighborhood() {
+         const neighborhood = this.rule.neighborhood;
+         this.neighborOffsets = neighborhoodOffsets(neighborhood);
+         this.neighborDeltas = this.neighborOffsets.map(offsets => Int32Array.from(offsets, ([dx, dy]) => dy * this.cols + dx));
+         // Cells closer than this to an edge need the boundary resolver
+         this.neighborMargin = Math.max(...this.neighborOffsets.flat(2).map(Math.abs));
+         this.classicNeighborhood = isClassicNeighborhood(neighborhood); // Unrolled fast path
      }
 
-     createGrid() { return createGrid(this.rows, this.cols); }
+     // Force every tile to be recomputed on the next step (reset, rule change, bulk edits).
+     // Any such change also invalidates the generation history used for steady-state detection.
+     markAllTilesChanged() {
+         this.changedTiles.fill(1);
+         this.snapshotTiles.fill(1);
+         this.snapshotDirty = true;
+         this.periodDetector.clear();
+     }
+     markCellChanged(x, y) {
+         const tile = Math.floor(y / TILE_SIZE) * this.tilesX + Math.floor(x / TILE_SIZE);
+         this.changedTiles[tile] = 1;
+         this.snapshotTiles[tile] = 1;
+         this.snapshotDirty = true;
+     }
 
     reset(randomize = true) {
         super.reset();
-        this.grid = this.createGrid();
-        this.nextGrid = this.createGrid();
+        this.allocateGrid();
          if(randomize) this.randomize(this.params.initialDensity);
         this.population = this.calculatePopulation();
+        this.lastBirths = this.lastDeaths = 0;
         console.log("ConwayLife reset.");
     }
 
     randomize(density) {
-        for (let y = 0; y < this.rows; y++) {
-            for (let x = 0; x < this.cols; x++) {
-                this.grid[y][x] = (Math.random() < density) ? 1 : 0;
-            }
+        for (let i = 0; i < this.cells.length; i++) {
+            this.cells[i] = (Math.random() < density) ? 1 : 0;
         }
+        this.markAllTilesChanged();
         this.params.initialDensity = density; // Update param if randomized externally
     }
 
+    // Next state lookup: transitions[state * stride + liveNeighbors], stride = neighborhood size + 1
+    buildTransitionTable() {
+        const stride = this.rule.birth.length;
+        const table = new Uint8Array(2 * stride);
+        for (let n = 0; n < stride; n++) {
+            table[n] = this.rule.birth[n] ? 1 : 0;
+            table[stride + n] = this.rule.survival[n] ? 1 : 0;
+        }
+        return table;
+    }
+
     step() {
-        this.population = 0;
-        for (let y = 0; y < this.rows; y++) {
-            for (let x = 0; x < this.cols; x++) {
-                const state = this.grid[y][x];
-                const neighbors = this.countNeighbors(x, y);
-                let nextState = state;
-                if (state === 1 && (neighbors < 2 || neighbors > 3)) nextState = 0;
-                else if (state === 0 && neighbors === 3) nextState = 1;
-                this.nextGrid[y][x] = nextState;
-                if (nextState === 1) this.population++;
+        const cols = this.cols, rows = this.rows;
+        const tilesX = this.tilesX, tilesY = this.tilesY;
+        const cur = this.cells, next = this.nextCells;
+        const table = this.transitions;
+        const stride = this.rule.birth.length;
+        const classic = this.classicNeighborhood;
+        const margin = this.neighborMargin;
+        const deltas = this.neighborDeltas;
+
+        // Neighborhoods never reach past one tile (MAX_NEIGHBORHOOD_RADIUS), so a tile needs work if it or any of its 8 neighbor tiles (wrapping) changed last step
+        const active = this.activeTiles;
+        const twisted = this.params.boundary === 'klein';
+        active.fill(0);
+        let anyActive = 0;
+        for (let ty = 0; ty < tilesY; ty++) {
+            for (let tx = 0; tx < tilesX; tx++) {
+                if (!this.changedTiles[ty * tilesX + tx]) continue;
+                anyActive = 1;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = (ty + dy + tilesY) % tilesY;
+                    if (twisted && ny !== ty + dy) {
+                        // Klein wrap mirrors columns, which need not line up with tiles - wake the whole edge row
+                        active.fill(1, ny * tilesX, (ny + 1) * tilesX);
+                        continue;
+                    }
+                    for (let dx = -1; dx <= 1; dx++) {
+                        active[ny * tilesX + (tx + dx + tilesX) % tilesX] = 1;
+                    }
+                }
+            }
+        }
+
+        // Skipped tiles are stable: both buffers already hold identical cells there
+        const changed = this.nextChangedTiles;
+        const occupied = this.occupiedTiles;
+        const pending = this.snapshotTiles;
+        let anyChanged = 0;
+        changed.fill(0);
+        let births = 0, deaths = 0; // Cells entering / leaving state 1
+        for (let ty = 0; ty < tilesY; ty++) {
+            const yEnd = Math.min(rows, (ty + 1) * TILE_SIZE);
+            for (let tx = 0; tx < tilesX; tx++) {
+                if (!active[ty * tilesX + tx]) continue;
+                const xEnd = Math.min(cols, (tx + 1) * TILE_SIZE);
+                let tileChanged = 0, tileOccupied = 0;
+                for (let y = ty * TILE_SIZE; y < yEnd; y++) {
+                    const row = y * cols;
+                    const rowUp = row - cols;
+                    const rowDown = row + cols;
+                    const edgeRow = y < margin || y >= rows - margin;
+                    const rowDeltas = deltas[y & 1];
+                    for (let x = tx * TILE_SIZE; x < xEnd; x++) {
+                        const i = row + x;
+                        // Only state 1 counts as a live neighbor (decay states in Generations don't).
+                        // Edge cells go through the boundary resolver, interior cells use direct offsets.
+                        let n;
+                        if (edgeRow || x < margin || x >= cols - margin) {
+                            n = this.countNeighbors(x, y);
+                        } else if (classic) {
+                            n = (cur[rowUp + x - 1] === 1) + (cur[rowUp + x] === 1) + (cur[rowUp + x + 1] === 1)
+                              + (cur[row + x - 1] === 1) + (cur[row + x + 1] === 1)
+                              + (cur[rowDown + x - 1] === 1) + (cur[rowDown + x] === 1) + (cur[rowDown + x + 1] === 1);
+                        } else {
+                            n = 0;
+                            for (let k = 0; k < rowDeltas.length; k++) n += cur[i + rowDeltas[k]] === 1;
+                        }
+                        const state = cur[i];
+                        const nextState = table[state * stride + n];
+                        next[i] = nextState;
+                        tileOccupied |= nextState;
+                        if (nextState !== state) {
+                            tileChanged = 1;
+                            births += nextState === 1;
+                            deaths += state === 1;
+                        }
+                    }
+                }
+                changed[ty * tilesX + tx] = tileChanged;
+                occupied[ty * tilesX + tx] = tileOccupied !== 0;
+                pending[ty * tilesX + tx] |= tileChanged;
+                anyChanged |= tileChanged;
             }
         }
-        [this.grid, this.nextGrid] = [this.nextGrid, this.grid]; // Swap buffers
+
+        [this.cells, this.nextCells] = [this.nextCells, this.cells]; // Swap buffers
+        [this.grid, this.nextGrid] = [this.nextGrid, this.grid];
+        [this.changedTiles, this.nextChangedTiles] = [this.nextChangedTiles, this.changedTiles];
+        if (anyChanged) this.snapshotDirty = true;
+        this.population += births - deaths;
+        this.lastBirths = births;
+        this.lastDeaths = deaths;
         this.iteration++;
+        // With no active tile the board equals the last generation, so its hash can be reused; otherwise
+        // only the span of occupied tiles is scanned
+        if (this.params.detectSteadyState) {
+            const repeated = !anyActive && this.periodDetector.repeat(this.iteration);
+            if (!repeated) this.periodDetector.record(this.iteration, this.cells, cols, rows, { occupied, tilesX, size: TILE_SIZE });
+        }
     }
 
+    // Live (state 1) neighbors of a single cell, honoring the boundary condition
     countNeighbors(x, y) {
          let count = 0;
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                if (dx === 0 && dy === 0) continue;
-                const nx = (x + dx + this.cols) % this.cols;
-                const ny = (y + dy + this.rows) % this.rows;
-                count += this.grid[ny][nx];
-            }
+        for (const [dx, dy] of this.neighborOffsets[y & 1]) {
+            const i = resolveBoundaryCell(x + dx, y + dy, this.cols, this.rows, this.params.boundary);
+            if (i >= 0 && this.cells[i] === 1) count++;
         }
         return count;
     }
 
      // --- Methods for Lab Interface ---
-     getGrid() { return this.grid; }
+     getGrid() { return this.grid; } // Row views over the flat buffer
+     getCells() { return this.cells; } // Flat buffer, index = y * cols + x
     getPopulation() { return this.population; }
+    getStatistics() {
+        return [
+            { label: 'Density', value: this.population / this.cells.length },
+            { label: 'Births', value: this.lastBirths },
+            { label: 'Deaths', value: this.lastDeaths }
+        ];
+    }
+    getSteadyState() { return this.params.detectSteadyState ? this.periodDetector.getResult() : null; } // Read by the lab's auto-pause
+    getInfoItems() {
+        return this.params.detectSteadyState ? [{ label: 'Steady state', value: describeSteadyState(this.getSteadyState()) }] : [];
+    }
      getVisualizationHints() { return { renderMode: 'grid', cellSize: this.cellSize }; }
-    getInteractionHint() { return 'Click/Drag to toggle cells (while paused)'; }
-    handleMouseDown(x, y) { this.toggleCell(x, y); this.population = this.calculatePopulation(); } // Recalc pop on manual change
-    handleMouseMove(x, y) { this.toggleCell(x, y); this.population = this.calculatePopulation(); }
+     getLattice() { return this.rule && this.rule.neighborhood.type === 'hex' ? 'hex' : 'square'; } // Renderer draws hexagons for 'hex'
+    getInteractionHint() { return this.painter.getInteractionHint(); }
+    handleMouseDown(x, y, button) { this.painter.pointerDown(x, y, button); }
+    handleMouseMove(x, y) { this.painter.pointerMove(x, y); }
+    handleMouseUp(x, y) { this.painter.pointerUp(x, y); }
+    handleMouseHover(x, y) { return this.painter.pointerHover(x, y); }
+    handleMouseLeave() { return this.painter.pointerLeave(); }
+    handleKeyDown(key) { return this.painter.handleKey(key); }
+    getOverlayCells() { return this.painter.getOverlayCells(); } // Line/rectangle preview
+    getStateOptions() { return [{ value: 0, label: 'Dead' }, { value: 1, label: 'Alive' }]; }
+
+    // Grid cell under a canvas pixel (hex lattices pick the nearest hexagon)
+    cellAt(canvasX, canvasY) {
+        if (this.getLattice() === 'hex') return hexCellAt(canvasX, canvasY, this.cellSize);
+        return { x: Math.floor(canvasX / this.cellSize), y: Math.floor(canvasY / this.cellSize) };
+    }
 
     toggleCell(canvasX, canvasY) {
-        const gridX = Math.floor(canvasX / this.cellSize);
-        const gridY = Math.floor(canvasY / this.cellSize);
+        const { x: gridX, y: gridY } = this.cellAt(canvasX, canvasY);
         if (gridY >= 0 && gridY < this.rows && gridX >= 0 && gridX < this.cols) {
              // Don't toggle if running, maybe? Or allow it. Current allows toggle anytime.
-            this.grid[gridY][gridX] = 1 - this.grid[gridY][gridX];
+            const state = this.cells[gridY * this.cols + gridX];
+            this.setCell(gridX, gridY, (state + 1) % this.getStateCount()); // Cycle through all states
+        }
+    }
+
+    // Single-cell edit that keeps population and tile tracking up to date
+    setCell(x, y, state) {
+        const i = y * this.cols + x;
+        const previous = this.cells[i];
+        if (previous === state) return;
+        this.cells[i] = state;
+        this.population += (state === 1) - (previous === 1);
+        this.markCellChanged(x, y);
+        this.periodDetector.clear();
+    }
+    getCell(x, y) { return this.cells[y * this.cols + x]; }
+
+    // History: a keyframe copies the grid; later snapshots list only the cells that differ from it
+    // (4-byte index + 1-byte state each), falling back to a new keyframe once that stops paying off.
+    // Only tiles changed since the keyframe are compared, and an unchanged grid reuses the last list.
+    createSnapshot(keyframe) {
+        const cells = this.cells;
+        const snapshot = { iteration: this.iteration, population: this.population, births: this.lastBirths, deaths: this.lastDeaths, cols: this.cols, rows: this.rows };
+        if (keyframe && keyframe.cols === this.cols && keyframe.rows === this.rows) {
+            const previous = this.lastSnapshot;
+            let indices;
+            if (keyframe === this.snapshotBase && !this.snapshotDirty && previous) {
+                indices = previous.base ? previous.indices : new Uint32Array(0);
+            } else {
+                if (keyframe !== this.snapshotBase) this.snapshotTiles.fill(1); // Unknown keyframe: compare every tile
+                indices = this.diffChangedTiles(keyframe.cells, cells.length >> 3);
+            }
+            if (indices) {
+                snapshot.base = keyframe;
+                snapshot.indices = indices;
+                snapshot.values = previous && indices === previous.indices ? previous.values : Uint8Array.from(indices, i => cells[i]);
+                snapshot.byteSize = indices.length * 5;
+                this.trackSnapshot(snapshot);
+                return snapshot;
+            }
+        }
+        snapshot.cells = cells.slice();
+        snapshot.byteSize = cells.length;
+        this.snapshotTiles.fill(0);
+        this.trackSnapshot(snapshot);
+        return snapshot;
+    }
+
+    // Indices of the cells that differ from base, looking only at tiles flagged in snapshotTiles and
+    // clearing the flags of tiles that turn out identical. Returns null past limit differences.
+    diffChangedTiles(base, limit) {
+        const cells = this.cells, cols = this.cols, rows = this.rows, tilesX = this.tilesX;
+        const pending = this.snapshotTiles;
+        const indices = [];
+        for (let tile = 0; tile < pending.length; tile++) {
+            if (!pending[tile]) continue;
+            const tx = tile % tilesX, ty = (tile - tx) / tilesX;
+            const xEnd = Math.min(cols, (tx + 1) * TILE_SIZE), yEnd = Math.min(rows, (ty + 1) * TILE_SIZE);
+            const before = indices.length;
+            for (let y = ty * TILE_SIZE; y < yEnd; y++) {
+                for (let i = y * cols + tx * TILE_SIZE, end = y * cols + xEnd; i < end; i++) {
+                    if (cells[i] !== base[i]) indices.push(i);
+                }
+            }
+            if (indices.length > limit) return null;
+            pending[tile] = indices.length > before ? 1 : 0;
         }
+        return Uint32Array.from(indices);
     }
-     calculatePopulation(){ return this.grid.flat().reduce((sum, cell) => sum + cell, 0);}
-     onResize(w, h) { /* ... implement grid resize logic similar to previous example ... */
+
+    trackSnapshot(snapshot) {
+        this.snapshotBase = snapshot.base || snapshot;
+        this.lastSnapshot = snapshot;
+        this.snapshotDirty = false;
+    }
+
+    restoreSnapshot(snapshot) {
+        if (snapshot.cols !== this.cols || snapshot.rows !== this.rows) {
+            throw new Error(`Snapshot is for a ${snapshot.cols}x${snapshot.rows} grid, the grid is now ${this.cols}x${this.rows}.`);
+        }
+        this.cells.set((snapshot.base || snapshot).cells);
+        if (snapshot.base) {
+            const { indices, values } = snapshot;
+            for (let k = 0; k < indices.length; k++) this.cells[indices[k]] = values[k];
+        }
+        this.iteration = snapshot.iteration;
+        this.population = snapshot.population;
+        this.lastBirths = snapshot.births;
+        this.lastDeaths = snapshot.deaths;
+        this.markAllTilesChanged(); // Also restarts steady-state detection from here
+        // Deltas taken from here on compare against the same keyframe, so only its differing tiles count
+        this.snapshotTiles.fill(0);
+        for (const i of snapshot.indices || []) {
+            const y = Math.floor(i / this.cols);
+            this.snapshotTiles[Math.floor(y / TILE_SIZE) * this.tilesX + Math.floor((i - y * this.cols) / TILE_SIZE)] = 1;
+        }
+        this.trackSnapshot(snapshot);
+    }
+
+     calculatePopulation() { // Full recount of live (state 1) cells
+         let count = 0;
+         for (let i = 0; i < this.cells.length; i++) {
+             if (this.cells[i] === 1) count++;
+         }
+         return count;
+     }
+     onResize(w, h) {
          this.width=w; this.height=h;
+         const oldCells = this.cells, oldCols = this.cols, oldRows = this.rows;
          this.calculateGridDimensions();
-         // Basic resize - could preserve pattern better with different strategies
-         const oldGrid = this.grid;
-         this.grid = this.createGrid();
-         this.nextGrid = this.createGrid();
-         const copyRows = Math.min(oldGrid.length, this.rows);
-         const copyCols = Math.min(oldGrid[0]?.length || 0, this.cols);
+         // Keep the overlapping top-left region of the old grid
+         this.allocateGrid();
+         const copyRows = Math.min(oldRows, this.rows);
+         const copyCols = Math.min(oldCols, this.cols);
          for(let y=0; y < copyRows; y++) {
-            for(let x=0; x < copyCols; x++) {
-                 this.grid[y][x] = oldGrid[y][x];
-            }
+             this.cells.set(oldCells.subarray(y * oldCols, y * oldCols + copyCols), y * this.cols);
          }
          this.population = this.calculatePopulation();
     }
     // Define actual parameters users can control
      getParameters() { return [
+        {id: 'rulePreset', label: 'Rule Preset', type: 'select', value: this.getParamValue('rulePreset'), tooltip:'Well-known rules for this family',
+            options: [...this.getRulePresets().map(p => ({ value: p.rule, label: `${p.name} (${p.rule})` })), { value: 'custom', label: 'Custom' }]},
+        {id: 'rule', label: `Rule (${this.ruleNotation})`, type: 'text', value: this.params.rule, tooltip:'Rulestring, e.g. B36/S23 (Life-like) or 345/2/4 (Generations)'},
+        {id: 'neighborhood', label: 'Neighborhood', type: 'select', options: NEIGHBORHOOD_OPTIONS, value: this.getParamValue('neighborhood'), tooltip:'Which cells count as neighbors, hexagonal switches to a hex lattice'},
+        {id: 'neighborhoodRadius', label: 'Neighborhood Radius', type: 'select', value: String(this.getParamValue('neighborhoodRadius')), tooltip:'Radius above 1 gives Larger than Life rules, written in range notation',
+            options: Array.from({ length: MAX_NEIGHBORHOOD_RADIUS }, (_, i) => ({ value: String(i + 1), label: String(i + 1) }))},
+        {id: 'boundary', label: 'Boundary', type: 'select', options: BOUNDARY_OPTIONS, value: this.params.boundary, tooltip:'What lies beyond the grid edges'},
         {id: 'cellSize', label: 'Cell Size (px)', type: 'slider', min: 2, max: 20, step: 1, value: this.params.cellSize, tooltip:'Size of each cell, requires reset'},
          {id: 'initialDensity', label: 'Initial Density', type: 'slider', min: 0.01, max: 0.8, step: 0.01, value: this.params.initialDensity, tooltip:'Density for Randomize button'},
-         {id: 'randomizeBtn', label: '', type: 'button', buttonText:'Randomize Grid', tooltip:'Fill grid randomly based on density'}
+         {id: 'randomizeBtn', label: '', type: 'button', buttonText:'Randomize Grid', tooltip:'Fill grid randomly based on density'},
+         {id: 'detectSteadyState', label: 'Detect still lifes / oscillators', type: 'checkbox', value: this.params.detectSteadyState, tooltip:'Hash every generation and report when the whole board repeats'},
+         ...this.painter.getParameters(this.getStateOptions()),
+         {id: 'patternText', label: 'Pattern (RLE / .cells)', type: 'textarea', rows: 4, resetOnChange: false, value: this.params.patternText, tooltip:'Paste a pattern and press Import; Export writes RLE here'},
+         {id: 'patternFile', label: 'Load Pattern File', type: 'file', accept: '.rle,.cells,.txt', tooltip:'Import an .rle or .cells file'},
+         {id: 'importPatternBtn', label: '', type: 'button', buttonText:'Import Pattern', tooltip:'Clear the grid, center the pattern and apply its rule header'},
+         {id: 'exportBoundingBox', label: 'Export live bounding box only', type: 'checkbox', value: this.params.exportBoundingBox, tooltip:'Otherwise the whole grid is exported'},
+         {id: 'exportPatternBtn', label: '', type: 'button', buttonText:'Export as RLE', tooltip:'Write the current grid as RLE into the pattern field'}
      ]; }
-     getParamValue(paramId) { return this.params[paramId]; }
+     getParamValue(paramId) {
+         if (this.painter.hasParam(paramId)) return this.painter.getParamValue(paramId);
+         if (paramId === 'rulePreset') {
+             const preset = this.getRulePresets().find(p => p.rule === this.params.rule);
+             return preset ? preset.rule : 'custom';
+         }
+         if (paramId === 'neighborhood') return this.rule.neighborhood.type;
+         if (paramId === 'neighborhoodRadius') return this.rule.neighborhood.radius;
+         return this.params[paramId];
+     }
      setParamValue(paramId, value) {
-         if(paramId === 'cellSize'){
+         if (this.painter.hasParam(paramId)) {
+             this.painter.setParamValue(paramId, value);
+         } else if (paramId === 'rule' || paramId === 'rulePreset') {
+             if (value === 'custom') return; // Keep the current rule, user edits the text field
+             this.setRule(value); // Throws on invalid rulestring, grid is kept either way
+         } else if (paramId === 'neighborhood') {
+             if (!isValidNeighborhood(value)) throw new Error(`Unknown neighborhood "${value}".`);
+             this.setNeighborhood({ type: value });
+         } else if (paramId === 'neighborhoodRadius') {
+             this.setNeighborhood({ radius: parseInt(value) });
+         } else if (paramId === 'boundary') {
+             if (!isValidBoundary(value)) throw new Error(`Unknown boundary "${value}".`);
+             this.params.boundary = value;
+             this.markAllTilesChanged(); // Edge cells may evolve differently now
+         } else if(paramId === 'cellSize'){
             this.params.cellSize = Math.max(1, parseInt(value)); // Prevent 0 size
             this.cellSize = this.params.cellSize;
              this.onResize(this.width, this.height); // Recalculate grid on cell size change
@@ -126,121 +653,233 @@ export class ConwayLife extends GenerativeSystem {
              console.log("Cell size changed, grid reset.");
          } else if (paramId === 'initialDensity') {
             this.params.initialDensity = parseFloat(value);
+         } else if (paramId === 'patternText') {
+            this.params.patternText = value;
+         } else if (paramId === 'patternFile') {
+            this.params.patternText = value; // File contents, keep them visible for editing
+            this.importPattern(value);
+         } else if (paramId === 'exportBoundingBox') {
+            this.params.exportBoundingBox = !!value;
+         } else if (paramId === 'detectSteadyState') {
+            this.params.detectSteadyState = !!value;
+            this.periodDetector.clear();
+         }
+     }
+    // Swap the transition rule in place - the current grid keeps evolving under the new rule
+     setRule(ruleString) {
+         const previousLattice = this.getLattice();
+         this.rule = this.parseRule(ruleString);
+         this.params.rule = this.rule.ruleString;
+         this.transitions = this.buildTransitionTable();
+         if (this.getLattice() !== previousLattice) {
+             this.onResize(this.width, this.height); // Hex rows are packed tighter, re-lay the grid
+         } else {
+             this.prepareNeighborhood();
+         }
+         this.markAllTilesChanged(); // Previously stable regions may evolve under the new rule
+         console.log(`${this.name} rule set to ${this.params.rule}.`);
+     }
+
+     // Move the current rule to another neighborhood shape or radius. Counts beyond the new
+     // neighborhood size are dropped; the rule text switches between B/S and range notation as needed.
+     setNeighborhood(changes) {
+         const neighborhood = { ...this.rule.neighborhood, ...changes };
+         const size = neighborhoodOffsets(neighborhood)[0].length + 1;
+         const resize = table => Array.from({ length: size }, (_, n) => !!table[n]);
+         this.setRule(this.formatRule({ ...this.rule, neighborhood, birth: resize(this.rule.birth), survival: resize(this.rule.survival) }));
+     }
+     getDefaultRule() { return 'B3/S23'; } // Subclasses with incompatible rule formats override this
+     parseRule(ruleString) { return parseLifeRule(ruleString); }
+     formatRule(rule) { return formatLifeRule(rule); }
+     getRulePresets() { return LIFE_RULE_PRESETS; }
+     getStateCount() { return 2; }
+    // --- Pattern Import / Export ---
+    // Replace the grid with a pattern centered on it; the header rule (if any) becomes the current rule
+     importPattern(text) {
+         const pattern = parsePattern(text);
+         // Validate everything before touching the grid
+         const rule = pattern.rule ? this.parseRule(this.resolveRuleName(pattern.rule)) : this.rule;
+         const stateCount = rule.states || 2;
+         if (pattern.cells.some(state => state >= stateCount)) {
+             throw new Error(`Pattern uses states beyond the ${stateCount} of rule ${rule.ruleString}.`);
+         }
+         const previousRule = this.params.rule;
+         this.setRule(rule.ruleString); // May switch the lattice, which changes the grid size
+         if (pattern.width > this.cols || pattern.height > this.rows) {
+             this.setRule(previousRule);
+             throw new Error(`Pattern is ${pattern.width}x${pattern.height} but the grid is ${this.cols}x${this.rows}. Try a smaller cell size.`);
          }
+         this.reset(false);
+         const offsetX = Math.floor((this.cols - pattern.width) / 2);
+         const offsetY = Math.floor((this.rows - pattern.height) / 2);
+         for (let y = 0; y < pattern.height; y++) {
+             const row = pattern.cells.subarray(y * pattern.width, (y + 1) * pattern.width);
+             this.cells.set(row, (offsetY + y) * this.cols + offsetX);
+         }
+         this.markAllTilesChanged();
+         this.population = this.calculatePopulation();
+         console.log(`Imported ${pattern.width}x${pattern.height} pattern.`);
+     }
+
+     // Golly headers may name a rule ("Life", "HighLife") instead of spelling it out
+     resolveRuleName(ruleName) {
+         if (/^life$/i.test(ruleName)) return 'B3/S23';
+         const preset = this.getRulePresets().find(p => p.name.toLowerCase() === ruleName.toLowerCase());
+         return preset ? preset.rule : ruleName;
+     }
+
+     // Current grid (or just its live bounding box) as RLE text
+     exportPattern() {
+         let minX = 0, minY = 0, maxX = this.cols - 1, maxY = this.rows - 1;
+         if (this.params.exportBoundingBox) {
+             minX = this.cols; minY = this.rows; maxX = -1; maxY = -1;
+             for (let y = 0; y < this.rows; y++) {
+                 for (let x = 0; x < this.cols; x++) {
+                     if (this.cells[y * this.cols + x] === 0) continue;
+                     minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+                     minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+                 }
+             }
+             if (maxX < 0) throw new Error('Nothing to export: the grid is empty.');
+         }
+         const pattern = createPattern(maxX - minX + 1, maxY - minY + 1, this.params.rule);
+         for (let y = minY; y <= maxY; y++) {
+             for (let x = minX; x <= maxX; x++) {
+                 pattern.cells[(y - minY) * pattern.width + (x - minX)] = this.cells[y * this.cols + x];
+             }
+         }
+         return encodeRLE(pattern);
      }
+
     // Handle custom button action
      triggerAction(actionId){
-         if(actionId === 'randomizeBtn'){
+         if (this.painter.hasAction(actionId)) {
+            this.painter.triggerAction(actionId);
+         } else if(actionId === 'randomizeBtn'){
             this.reset(true); // Randomize
+        } else if (actionId === 'importPatternBtn') {
+            this.importPattern(this.params.patternText);
+        } else if (actionId === 'exportPatternBtn') {
+            this.params.patternText = this.exportPattern();
         }
     }
 }
 
 
+// --- Generations CA Implementation ---
+// States: 0 = dead, 1 = alive, 2..C-1 = dying (refractory) states that only count as dead neighbors
+export class Generations extends ConwayLife { // Inherit grid logic from Life
+    constructor(width, height) {
+        super(width, height);
+        this.name = "Generations CA";
+        this.ruleNotation = 'S/B/C';
+        this.params.initialDensity = 0.3;
+        this.setRule('345/2/4'); // Star Wars
+    }
+
+    // Dead cells are born, live cells survive or start decaying, decay states advance toward dead
+    buildTransitionTable() {
+        const states = this.rule.states;
+        const stride = this.rule.birth.length;
+        const table = new Uint8Array(states * stride);
+        for (let n = 0; n < stride; n++) {
+            table[n] = this.rule.birth[n] ? 1 : 0;
+            table[stride + n] = this.rule.survival[n] ? 1 : (states > 2 ? 2 : 0); // Two-state rules die immediately
+            for (let state = 2; state < states; state++) {
+                table[state * stride + n] = (state + 1) % states; // Decay ignores neighbors
+            }
+        }
+        return table;
+    }
+
+    parseRule(ruleString) { return parseGenerationsRule(ruleString); }
+    formatRule(rule) { return formatGenerationsRule(rule); }
+    getRulePresets() { return GENERATIONS_RULE_PRESETS; }
+    getStateCount() { return this.rule.states; } // Renderer shades states 2..C-1 as a gradient
+    getStateOptions() {
+        return [...super.getStateOptions(), ...Array.from({ length: this.rule.states - 2 }, (_, i) => ({ value: i + 2, label: `Dying ${i + 1}` }))];
+    }
+
+    setRule(ruleString) {
+        super.setRule(ruleString);
+        // Clamp cells of a longer-lived previous rule into the new state range
+        for (let i = 0; i < this.cells.length; i++) {
+            if (this.cells[i] >= this.rule.states) this.cells[i] = 0;
+        }
+    }
+} // End Generations Class
+
+
 // --- Brian's Brain CA Implementation ---
-export class BrianBrain extends ConwayLife { // Inherit grid logic from Life
+// Generations preset /2/3: 0 = OFF, 1 = FIRING, 2 = REFRACTORY
+export class BrianBrain extends Generations {
     constructor(width, height) {
-        super(width, height); // Call ConwayLife constructor
+        super(width, height); // Call Generations constructor
         this.name = "Brian's Brain CA";
-         // No specific adjustable params beyond cell size/density needed for basic Brian's Brain
-         // But we keep the structure from parent
          this.params.initialDensity = 0.35; // Often looks good with higher density
          this.cellSize = this.params.cellSize || 5; // Smaller cells often work well
          this.calculateGridDimensions(); // Recalculate based on potentially new cellSize
+        this.setRule('/2/3');
          this.reset(); // Call parent reset with new density
     }
+} // End BrianBrain Class
 
-     // Brian's Brain States: 0 = OFF, 1 = FIRING, 2 = REFRACTORY
-
-    reset(randomize = true) {
-        super.reset(randomize); // Use parent reset (which uses current initialDensity)
-        console.log("Brian's Brain reset.");
-     }
 
-    step() {
-         this.population = 0; // Count firing cells
-         for (let y = 0; y < this.rows; y++) {
-             for (let x = 0; x < this.cols; x++) {
-                 const state = this.grid[y][x];
-                 let nextState = state;
-
-                if (state === 1) { // FIRING cells -> become REFRACTORY
-                     nextState = 2;
-                } else if (state === 2) { // REFRACTORY cells -> become OFF
-                     nextState = 0;
-                 } else if (state === 0) { // OFF cells -> FIRE if exactly 2 neighbors are FIRING
-                     const neighbors = this.countNeighbors(x, y); // Counts only FIRING (state 1) neighbors
-                     if (neighbors === 2) {
-                         nextState = 1;
-                    }
-                 }
+// --- Wireworld Implementation ---
+// States: 0 = empty, 1 = electron head, 2 = electron tail, 3 = conductor (Golly's WireWorld numbering).
+// A conductor turns into a head when one or two of its 8 neighbors are heads.
+const WIREWORLD_RULE = {
+    birth: Array(9).fill(false), survival: Array(9).fill(false), states: 4,
+    neighborhood: { type: 'moore', radius: 1, includeCenter: false }, ruleString: 'WireWorld'
+};
 
-                 this.nextGrid[y][x] = nextState;
-                if(nextState === 1) this.population++; // Only count firing state
-             }
-         }
-        [this.grid, this.nextGrid] = [this.nextGrid, this.grid];
-         this.iteration++;
-     }
+export class Wireworld extends ConwayLife {
+    constructor(width, height) {
+        super(width, height);
+        this.name = "Wireworld";
+        this.ruleNotation = 'fixed';
+        this.painter.tool = 'brush'; // Circuits are drawn, not toggled
+        this.painter.brushState = 3;
+    }
 
-     // Override neighbor count to ONLY count firing (state 1) neighbors
-     countNeighbors(x, y) {
-        let count = 0;
-         for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                if (dx === 0 && dy === 0) continue;
-                const nx = (x + dx + this.cols) % this.cols;
-                const ny = (y + dy + this.rows) % this.rows;
-                 // Check if neighbor state is FIRING (1)
-                 if (this.grid[ny][nx] === 1) {
-                    count++;
-                }
-             }
-         }
-        return count;
-     }
+    buildTransitionTable() {
+        const table = new Uint8Array(4 * 9);
+        for (let n = 0; n <= 8; n++) {
+            table[9 + n] = 2; // Head -> tail
+            table[18 + n] = 3; // Tail -> conductor
+            table[27 + n] = (n === 1 || n === 2) ? 1 : 3;
+        }
+        return table;
+    }
 
-    // Provide specific colors for the renderer
-    getSpecialColors(palette){
-         return {
-             1: palette.special2 || '#ffff00', // Firing state (use special2 - yellow default)
-             2: palette.special1 || '#ff70a6'  // Refractory state (use special1 - pink default)
-         }
-     }
-     // Brian's Brain doesn't really use density parameter after init, hide maybe?
-     // Or reuse parent parameters structure and ignore density input
-    // Or create distinct parameters:
-     getParameters() { return [
-         {id: 'cellSize', label: 'Cell Size (px)', type: 'slider', min: 2, max: 15, step: 1, value: this.params.cellSize, tooltip:'Size of each cell, requires reset'},
-         {id: 'randomizeBtn', label: '', type: 'button', buttonText:'Randomize Grid', tooltip:'Fill grid randomly'}
-     ]; }
-     getParamValue(paramId) { return this.params[paramId]; }
-     setParamValue(paramId, value){ // Only handle cellSize for Brian
-        if(paramId === 'cellSize'){
-            this.params.cellSize = Math.max(1, parseInt(value));
-            this.cellSize = this.params.cellSize;
-             this.onResize(this.width, this.height);
-             this.reset(false); // Reset, don't randomize automatically
+    parseRule(ruleString) {
+        if (!/^wireworld$/i.test(String(ruleString).trim())) {
+            throw new Error(`Wireworld has a fixed rule, "${ruleString}" is not WireWorld.`);
         }
-     }
-    triggerAction(actionId){ // Handle randomize button
-        if(actionId === 'randomizeBtn'){
-            this.reset(true); // Call parent randomize
-         }
+        return WIREWORLD_RULE;
+    }
+    getDefaultRule() { return 'WireWorld'; }
+    getRulePresets() { return [{ name: 'Wireworld', rule: 'WireWorld' }]; }
+    getStateCount() { return 4; }
+    getStateOptions() {
+        return [{ value: 0, label: 'Empty' }, { value: 1, label: 'Electron head' }, { value: 2, label: 'Electron tail' }, { value: 3, label: 'Conductor' }];
     }
+    getSpecialColors(palette) { return { 2: palette.special || '#ff70a6', 3: '#c8963c' }; } // Tail, conductor
 
-    // Override interaction to cycle through states: 0 -> 1 -> 2 -> 0
-     toggleCell(canvasX, canvasY){
-         const gridX = Math.floor(canvasX / this.cellSize);
-        const gridY = Math.floor(canvasY / this.cellSize);
-         if(gridY >= 0 && gridY < this.rows && gridX >=0 && gridX < this.cols){
-             let currentState = this.grid[gridY][gridX];
-             this.grid[gridY][gridX] = (currentState + 1) % 3; // Cycle 0, 1, 2
-            this.population = this.calculatePopulation(); // Recalculate firing population
-         }
-     }
-     calculatePopulation(){ // Count only firing (state 1)
-        return this.grid.flat().reduce((sum, cell) => sum + (cell === 1 ? 1 : 0), 0);
+    // Instead of noise, start from a small clock: an electron circling a loop feeds a wire
+    randomize() {
+        const loopX = Math.floor(this.cols / 4), loopY = Math.floor(this.rows / 2) - 2;
+        const conductor = [...rectCells(loopX, loopY, loopX + 9, loopY + 3), ...lineCells(loopX + 10, loopY + 1, this.cols - 1, loopY + 1)];
+        conductor.forEach(([x, y]) => { if (x < this.cols && y < this.rows) this.setCell(x, y, 3); });
+        this.setCell(loopX + 1, loopY, 1);
+        this.setCell(loopX, loopY, 2);
+        this.markAllTilesChanged();
     }
 
-} // End BrianBrain Class
+    getParameters() {
+        const ruleControls = ['rulePreset', 'rule', 'neighborhood', 'neighborhoodRadius', 'initialDensity'];
+        return super.getParameters()
+            .filter(param => !ruleControls.includes(param.id))
+            .map(param => param.id === 'randomizeBtn' ? { ...param, buttonText: 'Demo Circuit', tooltip: 'Clear the grid and draw a clock loop feeding a wire' } : param);
+    }
+} // End Wireworld Class
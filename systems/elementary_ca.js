@@ -0,0 +1,203 @@
+// --- systems/elementary_ca.js ---
+// One-dimensional automata drawn as a spacetime diagram: each generation is a row, time runs
+// downward and the diagram scrolls once the canvas is full. Rendered through the 'grid' mode.
+import { GenerativeSystem } from '../base_system.js';
+import { BOUNDARY_OPTIONS, isValidBoundary, resolveBoundaryCell } from './grid_boundary.js';
+
+// Klein-bottle wrap needs a second dimension; on a single row it would just be a torus
+const LINE_BOUNDARY_OPTIONS = BOUNDARY_OPTIONS.filter(option => option.value !== 'klein');
+
+const RULE_PRESETS = [
+    { name: 'Rule 30 (chaos)', mode: 'elementary', radius: 1, colors: 2, rule: '30' },
+    { name: 'Rule 90 (Sierpinski)', mode: 'elementary', radius: 1, colors: 2, rule: '90' },
+    { name: 'Rule 110 (universal)', mode: 'elementary', radius: 1, colors: 2, rule: '110' },
+    { name: 'Rule 150', mode: 'elementary', radius: 1, colors: 2, rule: '150' },
+    { name: 'Rule 184 (traffic)', mode: 'elementary', radius: 1, colors: 2, rule: '184' },
+    { name: 'Totalistic 3-color code 777', mode: 'totalistic', radius: 1, colors: 3, rule: '777' },
+    { name: 'Totalistic 3-color code 1599', mode: 'totalistic', radius: 1, colors: 3, rule: '1599' },
+    { name: 'Totalistic 2-color r=2 code 20', mode: 'totalistic', radius: 2, colors: 2, rule: '20' }
+];
+const presetKey = (p) => `${p.mode}:${p.radius}:${p.colors}:${p.rule}`;
+
+// Next-state lookup for one rule. Elementary rules index by the neighborhood read as a binary
+// number (leftmost cell = highest bit, Wolfram's convention); totalistic rules index by the sum.
+function buildRuleTable({ mode, radius, colors, rule }) {
+    const width = 2 * radius + 1;
+    let code;
+    try {
+        code = BigInt(String(rule).trim());
+    } catch (e) {
+        throw new Error(`Rule "${rule}" is not a whole number.`);
+    }
+    const base = BigInt(mode === 'elementary' ? 2 : colors);
+    const size = mode === 'elementary' ? 2 ** width : width * (colors - 1) + 1;
+    const maxCode = base ** BigInt(size);
+    if (code < 0n || code >= maxCode) {
+        throw new Error(`Rule must be between 0 and ${maxCode - 1n} for this mode, radius and color count.`);
+    }
+    const table = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+        table[i] = Number((code / base ** BigInt(i)) % base); // Digit i of the code in base k
+    }
+    return table;
+}
+
+// --- Elementary / Totalistic 1D CA ---
+export class ElementaryCA extends GenerativeSystem {
+    constructor(width, height) {
+        super(width, height);
+        this.name = "1D Cellular Automaton";
+        this.params = {
+            mode: 'elementary', // 'elementary' (Wolfram rule number) or 'totalistic' (k-color code)
+            rule: '30',
+            radius: 1,
+            colors: 2,
+            seed: 'single', // 'single' center cell or 'random' row
+            seedDensity: 0.5,
+            cellSize: 4,
+            boundary: 'torus'
+        };
+        this.table = buildRuleTable(this.params);
+        this.cellSize = this.params.cellSize;
+        this.calculateGridDimensions();
+    }
+
+    calculateGridDimensions() {
+        this.cols = Math.max(1, Math.floor(this.width / this.cellSize));
+        this.rows = Math.max(1, Math.floor(this.height / this.cellSize));
+        this.cells = new Uint8Array(this.cols * this.rows); // Row-major spacetime diagram
+        this.filledRows = 0;
+    }
+
+    reset() {
+        super.reset();
+        this.calculateGridDimensions();
+        this.seedRow();
+        console.log("ElementaryCA reset.");
+    }
+
+    seedRow() {
+        const stateCount = this.getStateCount();
+        if (this.params.seed === 'random') {
+            for (let x = 0; x < this.cols; x++) {
+                // Any non-zero color is equally likely once a cell is "on"
+                this.cells[x] = Math.random() < this.params.seedDensity ? 1 + Math.floor(Math.random() * (stateCount - 1)) : 0;
+            }
+        } else {
+            this.cells[Math.floor(this.cols / 2)] = 1;
+        }
+        this.filledRows = 1;
+    }
+
+    step() {
+        const cols = this.cols;
+        let source = (this.filledRows - 1) * cols;
+        if (this.filledRows === this.rows) {
+            this.cells.copyWithin(0, cols); // Scroll the diagram up by one generation
+            source -= cols;
+        } else {
+            this.filledRows++;
+        }
+        const target = source + cols;
+        const { radius, boundary } = this.params;
+        const elementary = this.params.mode === 'elementary';
+        for (let x = 0; x < cols; x++) {
+            let index = 0;
+            for (let dx = -radius; dx <= radius; dx++) {
+                const i = resolveBoundaryCell(x + dx, 0, cols, 1, boundary);
+                const state = i >= 0 ? this.cells[source + i] : 0;
+                index = elementary ? index * 2 + state : index + state;
+            }
+            this.cells[target + x] = this.table[index];
+        }
+        this.iteration++;
+    }
+
+    // Validate a complete rule configuration before committing any of it
+    applyRuleSettings(changes) {
+        const settings = { ...this.params, ...changes };
+        if (settings.mode === 'elementary') settings.colors = 2;
+        this.table = buildRuleTable(settings); // Throws, leaving the current rule untouched
+        Object.assign(this.params, settings);
+        // Fewer colors: clamp states that no longer exist
+        const stateCount = this.getStateCount();
+        for (let i = 0; i < this.cells.length; i++) {
+            if (this.cells[i] >= stateCount) this.cells[i] = stateCount - 1;
+        }
+    }
+
+    // --- Methods for Lab Interface ---
+    getCells() { return this.cells; }
+    getStateCount() { return this.params.mode === 'elementary' ? 2 : this.params.colors; }
+    getPopulation() { // Non-zero cells in the current generation
+        const start = (this.filledRows - 1) * this.cols;
+        let count = 0;
+        for (let x = 0; x < this.cols; x++) if (this.cells[start + x] !== 0) count++;
+        return count;
+    }
+    getVisualizationHints() { return { renderMode: 'grid', cellSize: this.cellSize }; }
+    getInteractionHint() { return 'Click to toggle cells in the current generation'; }
+    handleMouseDown(x) { this.toggleCell(x); }
+
+    toggleCell(canvasX) {
+        const gridX = Math.floor(canvasX / this.cellSize);
+        if (gridX < 0 || gridX >= this.cols) return;
+        const i = (this.filledRows - 1) * this.cols + gridX;
+        this.cells[i] = (this.cells[i] + 1) % this.getStateCount();
+    }
+
+    onResize(w, h) {
+        this.width = w; this.height = h;
+        this.reset(); // A new width changes the whole diagram, start over
+    }
+
+    getParameters() { return [
+        {id: 'rulePreset', label: 'Rule Preset', type: 'select', value: this.getParamValue('rulePreset'), tooltip:'Classic rules',
+            options: [...RULE_PRESETS.map(p => ({ value: presetKey(p), label: p.name })), { value: 'custom', label: 'Custom' }]},
+        {id: 'mode', label: 'Rule Type', type: 'select', value: this.params.mode, tooltip:'Elementary: one output per neighborhood pattern. Totalistic: output depends on the neighborhood sum',
+            options: [{ value: 'elementary', label: 'Elementary (2 colors)' }, { value: 'totalistic', label: 'Totalistic (k colors)' }]},
+        {id: 'rule', label: 'Rule / Code Number', type: 'text', value: this.params.rule, tooltip:'Wolfram rule number (0-255 for elementary radius 1) or totalistic code'},
+        {id: 'radius', label: 'Neighborhood Radius', type: 'slider', min: 1, max: 3, step: 1, value: this.params.radius, tooltip:'Cells on each side that influence the next state'},
+        {id: 'colors', label: 'Colors (k, totalistic)', type: 'slider', min: 2, max: 6, step: 1, value: this.params.colors, tooltip:'Number of cell states for totalistic rules'},
+        {id: 'seed', label: 'Seed Row', type: 'select', value: this.params.seed, tooltip:'Initial generation, applied on reset',
+            options: [{ value: 'single', label: 'Single center cell' }, { value: 'random', label: 'Random' }]},
+        {id: 'seedDensity', label: 'Random Seed Density', type: 'slider', min: 0.05, max: 0.95, step: 0.05, value: this.params.seedDensity, tooltip:'Share of non-zero cells in a random seed'},
+        {id: 'boundary', label: 'Boundary', type: 'select', options: LINE_BOUNDARY_OPTIONS, value: this.params.boundary, tooltip:'What lies beyond the row ends'},
+        {id: 'cellSize', label: 'Cell Size (px)', type: 'slider', min: 1, max: 12, step: 1, value: this.params.cellSize, tooltip:'Size of each cell, restarts the diagram'}
+    ]; }
+    getParamValue(paramId) {
+        if (paramId === 'rulePreset') {
+            const current = presetKey({ ...this.params, colors: this.getStateCount() });
+            return RULE_PRESETS.some(p => presetKey(p) === current) ? current : 'custom';
+        }
+        return this.params[paramId];
+    }
+    setParamValue(paramId, value) {
+        switch (paramId) {
+            case 'rulePreset': {
+                const preset = RULE_PRESETS.find(p => presetKey(p) === value);
+                if (preset) this.applyRuleSettings({ mode: preset.mode, radius: preset.radius, colors: preset.colors, rule: preset.rule });
+                break;
+            }
+            case 'mode': this.applyRuleSettings({ mode: value }); break;
+            case 'rule': this.applyRuleSettings({ rule: String(value).trim() }); break;
+            case 'radius': this.applyRuleSettings({ radius: parseInt(value) }); break;
+            case 'colors': this.applyRuleSettings({ colors: parseInt(value) }); break;
+            case 'seed':
+                this.params.seed = value;
+                this.reset();
+                break;
+            case 'seedDensity': this.params.seedDensity = parseFloat(value); break;
+            case 'boundary':
+                if (!isValidBoundary(value)) throw new Error(`Unknown boundary "${value}".`);
+                this.params.boundary = value;
+                break;
+            case 'cellSize':
+                this.params.cellSize = Math.max(1, parseInt(value));
+                this.cellSize = this.params.cellSize;
+                this.reset();
+                break;
+            default: console.warn("ElementaryCA unknown param set:", paramId);
+        }
+    }
+} // End ElementaryCA
@@ -0,0 +1,119 @@
+// --- systems/expression.js ---
+// Small arithmetic expression compiler for parametric L-systems (no eval / Function). Supports
+// numbers, named variables, + - * / % ^, comparisons (< > <= >= == !=, true = 1), && || !,
+// parentheses and a few math functions. Angles in sin/cos/tan/atan2 are in degrees, like the turtle.
+
+const FUNCTIONS = {
+    sin: [1, x => Math.sin(x * Math.PI / 180)],
+    cos: [1, x => Math.cos(x * Math.PI / 180)],
+    tan: [1, x => Math.tan(x * Math.PI / 180)],
+    atan2: [2, (y, x) => Math.atan2(y, x) * 180 / Math.PI],
+    sqrt: [1, Math.sqrt],
+    abs: [1, Math.abs],
+    exp: [1, Math.exp],
+    log: [1, Math.log],
+    floor: [1, Math.floor],
+    ceil: [1, Math.ceil],
+    round: [1, Math.round],
+    min: [2, Math.min],
+    max: [2, Math.max],
+    pow: [2, Math.pow]
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const TOKEN_PATTERN = /\s*(?:(\d*\.?\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(<=|>=|==|!=|&&|\|\||[-+*/%^()<>!,]))/y;
+
+function tokenize(text) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        if (/^\s*$/.test(text.slice(start))) break;
+        const match = TOKEN_PATTERN.exec(text);
+        if (!match) throw new Error(`Expression "${text}": unexpected "${text.slice(start).trim()[0]}".`);
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+        else tokens.push({ type: 'op', value: match[3] });
+    }
+    return tokens;
+}
+
+const BINARY = {
+    '||': (a, b) => (a || b) ? 1 : 0, '&&': (a, b) => (a && b) ? 1 : 0,
+    '<': (a, b) => +(a < b), '>': (a, b) => +(a > b), '<=': (a, b) => +(a <= b), '>=': (a, b) => +(a >= b),
+    '==': (a, b) => +(a === b), '!=': (a, b) => +(a !== b),
+    '+': (a, b) => a + b, '-': (a, b) => a - b, '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b,
+    '^': (a, b) => Math.pow(a, b)
+};
+
+// Compile `text` into a function of an array of variable values, ordered like variableNames
+export function compileExpression(text, variableNames = []) {
+    const source = String(text);
+    const tokens = tokenize(source);
+    let position = 0;
+    const fail = message => { throw new Error(`Expression "${source.trim()}": ${message}.`); };
+    const peek = () => tokens[position];
+    const accept = op => {
+        const token = tokens[position];
+        if (token && token.type === 'op' && token.value === op) { position++; return true; }
+        return false;
+    };
+    const expect = op => { if (!accept(op)) fail(`expected "${op}"`); };
+    const binary = (left, op, right) => { const apply = BINARY[op]; return values => apply(left(values), right(values)); };
+
+    // Lowest to highest precedence; ^ is right-associative and binds tighter than unary minus
+    const levels = [['||'], ['&&'], ['<', '>', '<=', '>=', '==', '!='], ['+', '-'], ['*', '/', '%']];
+    function parseLevel(level) {
+        if (level === levels.length) return parseUnary();
+        let left = parseLevel(level + 1);
+        for (;;) {
+            const token = peek();
+            if (!token || token.type !== 'op' || !levels[level].includes(token.value)) return left;
+            position++;
+            left = binary(left, token.value, parseLevel(level + 1));
+        }
+    }
+    function parseUnary() {
+        if (accept('-')) { const operand = parseUnary(); return values => -operand(values); }
+        if (accept('+')) return parseUnary();
+        if (accept('!')) { const operand = parseUnary(); return values => operand(values) ? 0 : 1; }
+        const base = parsePrimary();
+        if (accept('^')) return binary(base, '^', parseUnary());
+        return base;
+    }
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (!token) fail('ends too early');
+        if (token.type === 'number') { const value = token.value; return () => value; }
+        if (token.type === 'name') {
+            if (accept('(')) {
+                // Own keys only: "constructor" or "toString" must not reach Object.prototype
+                if (!Object.hasOwn(FUNCTIONS, token.value)) fail(`unknown function "${token.value}"`);
+                const entry = FUNCTIONS[token.value];
+                const args = [];
+                if (!accept(')')) {
+                    do { args.push(parseLevel(0)); } while (accept(','));
+                    expect(')');
+                }
+                const [arity, fn] = entry;
+                if (args.length !== arity) fail(`${token.value}() takes ${arity} argument${arity > 1 ? 's' : ''}`);
+                return arity === 1 ? values => fn(args[0](values)) : values => fn(args[0](values), args[1](values));
+            }
+            const index = variableNames.indexOf(token.value);
+            if (index >= 0) return values => values[index];
+            if (Object.hasOwn(CONSTANTS, token.value)) { const value = CONSTANTS[token.value]; return () => value; }
+            fail(`unknown name "${token.value}"`);
+        }
+        if (token.value === '(') {
+            const inner = parseLevel(0);
+            expect(')');
+            return inner;
+        }
+        fail(`unexpected "${token.value}"`);
+    }
+
+    if (tokens.length === 0) fail('is empty');
+    const compiled = parseLevel(0);
+    if (position < tokens.length) fail(`unexpected "${tokens[position].value}"`);
+    return compiled;
+}
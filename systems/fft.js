@@ -0,0 +1,64 @@
+// --- systems/fft.js ---
+// In-place radix-2 complex FFT over square power-of-two grids (split real / imaginary arrays).
+// Used for large-kernel convolutions, where direct summation would be far too slow on a CPU.
+
+export function isPowerOfTwo(n) { return n > 0 && (n & (n - 1)) === 0; }
+
+export function createFFT2D(size) {
+    if (!isPowerOfTwo(size)) throw new Error(`FFT size must be a power of two, got ${size}.`);
+    const bits = Math.log2(size);
+    const reversed = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+        let r = 0;
+        for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+        reversed[i] = r;
+    }
+    const cosTable = new Float64Array(size / 2);
+    const sinTable = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+        cosTable[i] = Math.cos(2 * Math.PI * i / size);
+        sinTable[i] = Math.sin(2 * Math.PI * i / size);
+    }
+    const lineRe = new Float64Array(size); // Scratch line, copied in and out for strided access
+    const lineIm = new Float64Array(size);
+
+    // Transform one row (stride 1) or column (stride = size) starting at offset
+    function transformLine(re, im, offset, stride, inverse) {
+        for (let i = 0; i < size; i++) {
+            const j = offset + reversed[i] * stride;
+            lineRe[i] = re[j];
+            lineIm[i] = im[j];
+        }
+        const sign = inverse ? 1 : -1;
+        for (let half = 1; half < size; half *= 2) {
+            const tableStep = size / (2 * half);
+            for (let start = 0; start < size; start += 2 * half) {
+                for (let k = 0; k < half; k++) {
+                    const wr = cosTable[k * tableStep];
+                    const wi = sign * sinTable[k * tableStep];
+                    const a = start + k, b = a + half;
+                    const tr = lineRe[b] * wr - lineIm[b] * wi;
+                    const ti = lineRe[b] * wi + lineIm[b] * wr;
+                    lineRe[b] = lineRe[a] - tr; lineIm[b] = lineIm[a] - ti;
+                    lineRe[a] += tr; lineIm[a] += ti;
+                }
+            }
+        }
+        const scale = inverse ? 1 / size : 1;
+        for (let i = 0; i < size; i++) {
+            re[offset + i * stride] = lineRe[i] * scale;
+            im[offset + i * stride] = lineIm[i] * scale;
+        }
+    }
+
+    function transform(re, im, inverse) {
+        for (let row = 0; row < size; row++) transformLine(re, im, row * size, 1, inverse);
+        for (let col = 0; col < size; col++) transformLine(re, im, col, size, inverse);
+    }
+
+    return {
+        size,
+        forward(re, im) { transform(re, im, false); },
+        inverse(re, im) { transform(re, im, true); }
+    };
+}
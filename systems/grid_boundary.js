@@ -0,0 +1,44 @@
+// --- systems/grid_boundary.js ---
+// Edge topologies shared by the grid-based systems. Neighbor lookups that fall outside the grid
+// are resolved here; everything inside the grid never needs to call in.
+
+export const BOUNDARY_OPTIONS = [
+    { value: 'torus', label: 'Torus (wrap around)' },
+    { value: 'dead', label: 'Dead edges (fixed 0)' },
+    { value: 'reflect', label: 'Reflective (mirror)' },
+    { value: 'klein', label: 'Klein bottle (twisted wrap)' }
+];
+
+export function isValidBoundary(boundary) {
+    return BOUNDARY_OPTIONS.some(option => option.value === boundary);
+}
+
+// Mirror across the edge line: -1 -> 0, -2 -> 1, size -> size - 1, ...
+function reflect(coord, size) {
+    if (coord < 0) return Math.min(size - 1, -coord - 1);
+    if (coord >= size) return Math.max(0, 2 * size - coord - 1);
+    return coord;
+}
+
+function wrap(coord, size) { return ((coord % size) + size) % size; }
+
+// Flat index (y * cols + x) of a possibly out-of-range cell, or -1 for a dead (fixed 0) cell
+export function resolveBoundaryCell(x, y, cols, rows, boundary) {
+    if (x >= 0 && x < cols && y >= 0 && y < rows) return y * cols + x;
+    switch (boundary) {
+        case 'dead':
+            return -1;
+        case 'reflect':
+            return reflect(y, rows) * cols + reflect(x, cols);
+        case 'klein': {
+            // Crossing the top/bottom edge mirrors the column, left/right edges wrap normally
+            const wraps = Math.floor(y / rows);
+            const flipped = wraps % 2 !== 0;
+            const wrappedX = wrap(x, cols);
+            return wrap(y, rows) * cols + (flipped ? cols - 1 - wrappedX : wrappedX);
+        }
+        case 'torus':
+        default:
+            return wrap(y, rows) * cols + wrap(x, cols);
+    }
+}
@@ -0,0 +1,78 @@
+// --- systems/grid_neighborhood.js ---
+// Neighborhood shapes for the outer-totalistic grid automata, plus the hexagonal lattice geometry
+// they need. Hex grids are stored as ordinary rows with every odd row shifted half a cell right.
+
+export const NEIGHBORHOOD_OPTIONS = [
+    { value: 'moore', label: 'Moore (square)' },
+    { value: 'vonneumann', label: 'von Neumann (diamond)' },
+    { value: 'hex', label: 'Hexagonal' }
+];
+
+// Stepping wakes only adjacent dirty tiles, so a neighborhood must not reach past one tile (16 cells)
+export const MAX_NEIGHBORHOOD_RADIUS = 10;
+
+export function isValidNeighborhood(type) {
+    return NEIGHBORHOOD_OPTIONS.some(option => option.value === type);
+}
+
+// The 8-cell Moore neighborhood that the classic Life-like rules (and HashLife) assume
+export function isClassicNeighborhood({ type, radius, includeCenter }) {
+    return type === 'moore' && radius === 1 && !includeCenter;
+}
+
+// Odd rows are shifted right, so a cell's axial hex column depends on its row parity
+function hexAxialColumn(x, y) { return x - (y - (y & 1)) / 2; }
+
+function hexDistance(x0, y0, x1, y1) {
+    const dq = hexAxialColumn(x1, y1) - hexAxialColumn(x0, y0);
+    const dr = y1 - y0;
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+function isInNeighborhood(type, radius, dx, dy, rowParity) {
+    switch (type) {
+        case 'vonneumann': return Math.abs(dx) + Math.abs(dy) <= radius;
+        case 'hex': return hexDistance(0, rowParity, dx, rowParity + dy) <= radius;
+        case 'moore':
+        default: return Math.abs(dx) <= radius && Math.abs(dy) <= radius;
+    }
+}
+
+// Relative [dx, dy] neighbor offsets as [evenRowOffsets, oddRowOffsets]; only hex lists differ by parity
+export function neighborhoodOffsets({ type, radius, includeCenter = false }) {
+    return [0, 1].map(rowParity => {
+        const offsets = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius - 1; dx <= radius + 1; dx++) {
+                if (dx === 0 && dy === 0 && !includeCenter) continue;
+                if (isInNeighborhood(type, radius, dx, dy, rowParity)) offsets.push([dx, dy]);
+            }
+        }
+        return offsets;
+    });
+}
+
+// --- Hex Lattice Geometry ---
+// Pointy-top hexagons whose flat-to-flat width is the cell size
+export function hexCornerRadius(cellWidth) { return cellWidth / Math.sqrt(3); }
+export function hexRowSpacing(cellWidth) { return 1.5 * hexCornerRadius(cellWidth); }
+
+// Pixel center of hex cell (x, y)
+export function hexCellCenter(x, y, cellWidth) {
+    return {
+        x: cellWidth * (x + 0.5 + 0.5 * (y & 1)),
+        y: hexCornerRadius(cellWidth) + y * hexRowSpacing(cellWidth)
+    };
+}
+
+// Hex cell containing a pixel (cube-coordinate rounding), may lie outside the grid
+export function hexCellAt(px, py, cellWidth) {
+    const r = (py - hexCornerRadius(cellWidth)) / hexRowSpacing(cellWidth);
+    const q = (px - cellWidth / 2) / cellWidth - r / 2;
+    let roundQ = Math.round(q), roundR = Math.round(r);
+    const roundS = Math.round(-q - r);
+    const errorQ = Math.abs(roundQ - q), errorR = Math.abs(roundR - r), errorS = Math.abs(roundS + q + r);
+    if (errorQ > errorR && errorQ > errorS) roundQ = -roundR - roundS;
+    else if (errorR > errorS) roundR = -roundQ - roundS;
+    return { x: roundQ + (roundR - (roundR & 1)) / 2, y: roundR };
+}
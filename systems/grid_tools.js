@@ -0,0 +1,283 @@
+// --- systems/grid_tools.js ---
+// Drawing tools for grid automata: toggle, brush, line, rectangle, eraser, pattern stamps and area
+// selection. A GridPainter is driven from a system's mouse and key hooks and edits any target that
+// provides cellAt(canvasX, canvasY) -> {x, y}, getCell(x, y), setCell(x, y, state), cols, rows,
+// getStateCount() and params.rule.
+import { createPattern, rotatePattern, flipPattern } from './pattern_io.js';
+import { listStamps, getStampPattern, saveStamp, deleteSavedStamp } from './pattern_library.js';
+
+export const PAINT_TOOL_OPTIONS = [
+    { value: 'toggle', label: 'Toggle (cycle state)' },
+    { value: 'brush', label: 'Brush' },
+    { value: 'line', label: 'Line' },
+    { value: 'rect', label: 'Rectangle outline' },
+    { value: 'fillRect', label: 'Filled rectangle' },
+    { value: 'eraser', label: 'Eraser' },
+    { value: 'stamp', label: 'Stamp pattern' },
+    { value: 'select', label: 'Select area' }
+];
+
+// Cells on the straight segment between two cells (Bresenham), endpoints included
+export function lineCells(x0, y0, x1, y1) {
+    const cells = [];
+    const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+    let error = dx + dy;
+    for (let x = x0, y = y0; ; ) {
+        cells.push([x, y]);
+        if (x === x1 && y === y1) break;
+        const doubled = 2 * error;
+        if (doubled >= dy) { error += dy; x += sx; }
+        if (doubled <= dx) { error += dx; y += sy; }
+    }
+    return cells;
+}
+
+// Cells of the axis-aligned rectangle spanned by two corner cells
+export function rectCells(x0, y0, x1, y1, filled = false) {
+    const cells = [];
+    const minX = Math.min(x0, x1), maxX = Math.max(x0, x1);
+    const minY = Math.min(y0, y1), maxY = Math.max(y0, y1);
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            if (filled || y === minY || y === maxY || x === minX || x === maxX) cells.push([x, y]);
+        }
+    }
+    return cells;
+}
+
+export class GridPainter {
+    constructor(target) {
+        this.target = target;
+        this.tool = 'toggle';
+        this.brushState = 1;
+        this.brushSize = 1; // Square brush side, in cells
+        this.stroke = null; // { anchor, last, state } while the mouse is down
+        this.preview = [];
+        this.hoverCell = null; // Cell under the cursor, for the stamp ghost
+        this.stampName = listStamps()[0].name;
+        this.stamp = getStampPattern(this.stampName); // Current orientation of the chosen stamp
+        this.selection = null; // { minX, minY, maxX, maxY } in cells
+        this.newStampName = '';
+    }
+
+    pointerDown(canvasX, canvasY, button) {
+        const cell = this.target.cellAt(canvasX, canvasY);
+        let state = Math.min(this.brushState, this.target.getStateCount() - 1); // The rule may have lost states
+        if (this.tool === 'eraser' || button === 2) {
+            state = 0; // Right button erases with every tool
+        } else if (this.tool === 'toggle') {
+            // Cycle the clicked cell once, then paint that state for the rest of the drag
+            state = this.isInside(cell.x, cell.y) ? (this.target.getCell(cell.x, cell.y) + 1) % this.target.getStateCount() : 1;
+        }
+        this.stroke = { anchor: cell, last: cell, state };
+        if (this.tool === 'stamp') {
+            this.placeStamp(cell, state !== 0);
+            this.stroke = null; // One stamp per click
+        } else if (this.tool === 'select') {
+            this.selection = this.normalizeRect(cell, cell);
+        } else if (this.isShapeTool()) {
+            this.updatePreview(cell);
+        } else {
+            this.paintCells([[cell.x, cell.y]], this.tool === 'toggle' ? 1 : this.brushSize);
+        }
+    }
+
+    pointerMove(canvasX, canvasY) {
+        const cell = this.target.cellAt(canvasX, canvasY);
+        this.hoverCell = cell;
+        if (!this.stroke) return;
+        if (this.tool === 'select') {
+            this.selection = this.normalizeRect(this.stroke.anchor, cell);
+        } else if (this.isShapeTool()) {
+            this.updatePreview(cell);
+        } else {
+            // Fill the gap since the last event so fast drags give unbroken strokes
+            const { last } = this.stroke;
+            this.paintCells(lineCells(last.x, last.y, cell.x, cell.y), this.tool === 'toggle' ? 1 : this.brushSize);
+        }
+        this.stroke.last = cell;
+    }
+
+    pointerUp(canvasX, canvasY) {
+        if (!this.stroke) return;
+        if (this.isShapeTool()) {
+            this.updatePreview(this.target.cellAt(canvasX, canvasY));
+            this.paintCells(this.preview, 1);
+        }
+        this.stroke = null;
+        this.preview = [];
+    }
+
+    // Mouse over the grid without a button pressed; returns true when the overlay changed
+    pointerHover(canvasX, canvasY) {
+        this.hoverCell = this.target.cellAt(canvasX, canvasY);
+        return this.tool === 'stamp';
+    }
+    pointerLeave() {
+        this.hoverCell = null;
+        return this.tool === 'stamp';
+    }
+
+    // Stamp orientation keys: R rotates clockwise, F flips left-right, V flips top-bottom.
+    // Escape drops the selection. Returns true when the key was used.
+    handleKey(key) {
+        if (key === 'Escape' && this.selection) {
+            this.selection = null;
+            return true;
+        }
+        if (this.tool !== 'stamp') return false;
+        switch (key.toLowerCase()) {
+            case 'r': this.stamp = rotatePattern(this.stamp); return true;
+            case 'f': this.stamp = flipPattern(this.stamp); return true;
+            case 'v': this.stamp = flipPattern(this.stamp, true); return true;
+            default: return false;
+        }
+    }
+
+    // Top-left cell that puts the stamp's center under the cursor
+    stampOrigin(cell) {
+        return { x: cell.x - Math.floor(this.stamp.width / 2), y: cell.y - Math.floor(this.stamp.height / 2) };
+    }
+
+    // Write the stamp's live cells (or clear them when erasing); dead stamp cells leave the grid alone
+    placeStamp(cell, draw) {
+        const origin = this.stampOrigin(cell);
+        const stateCount = this.target.getStateCount();
+        this.forEachStampCell(origin, (x, y, state) => {
+            if (this.isInside(x, y)) this.target.setCell(x, y, draw ? Math.min(state, stateCount - 1) : 0);
+        });
+    }
+    forEachStampCell(origin, callback) {
+        const { width, height, cells } = this.stamp;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const state = cells[y * width + x];
+                if (state !== 0) callback(origin.x + x, origin.y + y, state);
+            }
+        }
+    }
+
+    normalizeRect(a, b) {
+        const clampX = x => Math.min(this.target.cols - 1, Math.max(0, x));
+        const clampY = y => Math.min(this.target.rows - 1, Math.max(0, y));
+        return { minX: clampX(Math.min(a.x, b.x)), minY: clampY(Math.min(a.y, b.y)), maxX: clampX(Math.max(a.x, b.x)), maxY: clampY(Math.max(a.y, b.y)) };
+    }
+
+    // Current selection, cropped to its non-empty cells, as a new saved stamp
+    saveSelection() {
+        if (!this.selection) throw new Error('Select an area first (Select area tool).');
+        const { minX, minY, maxX, maxY } = this.selection;
+        let left = Infinity, top = Infinity, right = -1, bottom = -1;
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                if (this.target.getCell(x, y) === 0) continue;
+                left = Math.min(left, x); right = Math.max(right, x);
+                top = Math.min(top, y); bottom = Math.max(bottom, y);
+            }
+        }
+        if (right < 0) throw new Error('The selection is empty.');
+        const pattern = createPattern(right - left + 1, bottom - top + 1, this.target.params.rule);
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) pattern.cells[(y - top) * pattern.width + (x - left)] = this.target.getCell(x, y);
+        }
+        this.stampName = saveStamp(this.newStampName, pattern);
+        this.stamp = pattern;
+    }
+
+    selectStamp(name) {
+        this.stamp = getStampPattern(name); // Throws for unknown names
+        this.stampName = name;
+    }
+
+    isShapeTool() { return this.tool === 'line' || this.tool === 'rect' || this.tool === 'fillRect'; }
+    isInside(x, y) { return x >= 0 && y >= 0 && x < this.target.cols && y < this.target.rows; }
+
+    updatePreview(cell) {
+        const { anchor } = this.stroke;
+        this.preview = this.tool === 'line'
+            ? lineCells(anchor.x, anchor.y, cell.x, cell.y)
+            : rectCells(anchor.x, anchor.y, cell.x, cell.y, this.tool === 'fillRect');
+    }
+
+    // Set every cell (grown to a size x size square) to the stroke state, clipped to the grid
+    paintCells(cells, size) {
+        const state = this.stroke.state;
+        const low = -Math.floor((size - 1) / 2), high = low + size - 1;
+        for (const [cx, cy] of cells) {
+            for (let y = cy + low; y <= cy + high; y++) {
+                for (let x = cx + low; x <= cx + high; x++) {
+                    if (this.isInside(x, y)) this.target.setCell(x, y, state);
+                }
+            }
+        }
+    }
+
+    // Translucent overlay for the renderer: pending line/rectangle or the stamp ghost as
+    // { cells: [[x, y, state?]], state }, plus the selection rectangle in cells
+    getOverlayCells() {
+        let cells = [], state = 1;
+        if (this.stroke && this.preview.length > 0) {
+            cells = this.preview.filter(([x, y]) => this.isInside(x, y));
+            state = this.stroke.state;
+        } else if (this.tool === 'stamp' && this.hoverCell) {
+            this.forEachStampCell(this.stampOrigin(this.hoverCell), (x, y, cellState) => {
+                if (this.isInside(x, y)) cells.push([x, y, cellState]);
+            });
+        }
+        if (cells.length === 0 && !this.selection) return null;
+        return { cells, state, selection: this.selection };
+    }
+
+    getInteractionHint() {
+        if (this.tool === 'stamp') return 'Stamp: click to place, R rotate, F/V flip';
+        if (this.tool === 'select') return 'Select: drag a rectangle, Esc clears, then save it as a stamp';
+        const tool = PAINT_TOOL_OPTIONS.find(option => option.value === this.tool);
+        return `${tool.label}: drag to draw, right button erases`;
+    }
+
+    // Parameter entries; stateOptions lists the target's states as {value, label}
+    getParameters(stateOptions) { return [
+        {id: 'paintTool', label: 'Drawing Tool', type: 'select', options: PAINT_TOOL_OPTIONS, value: this.tool, tooltip:'How mouse drags edit the grid'},
+        {id: 'brushState', label: 'Brush State', type: 'select', options: stateOptions.map(option => ({ value: String(option.value), label: option.label })), value: String(this.brushState), tooltip:'State painted by brush, line and rectangle tools'},
+        {id: 'brushSize', label: 'Brush Size (cells)', type: 'slider', min: 1, max: 9, step: 1, value: this.brushSize, tooltip:'Side of the square brush and eraser'},
+        {id: 'stampName', label: 'Stamp', type: 'select', options: listStamps().map(stamp => ({ value: stamp.name, label: stamp.saved ? `${stamp.name} (saved)` : stamp.name })), value: this.stampName, tooltip:'Pattern placed by the stamp tool'},
+        {id: 'newStampName', label: 'New Stamp Name', type: 'text', value: this.newStampName, tooltip:'Name for saving the current selection'},
+        {id: 'saveStampBtn', label: '', type: 'button', buttonText:'Save Selection as Stamp', tooltip:'Store the selected cells in this browser'},
+        {id: 'deleteStampBtn', label: '', type: 'button', buttonText:'Delete Saved Stamp', tooltip:'Remove the chosen saved stamp (built-ins stay)'}
+    ]; }
+    hasParam(paramId) { return ['paintTool', 'brushState', 'brushSize', 'stampName', 'newStampName'].includes(paramId); }
+    hasAction(actionId) { return actionId === 'saveStampBtn' || actionId === 'deleteStampBtn'; }
+    getParamValue(paramId) {
+        if (paramId === 'paintTool') return this.tool;
+        if (paramId === 'brushState') return String(this.brushState);
+        if (paramId === 'stampName') return this.stampName;
+        if (paramId === 'newStampName') return this.newStampName;
+        return this.brushSize;
+    }
+    triggerAction(actionId) {
+        if (actionId === 'saveStampBtn') {
+            this.saveSelection();
+        } else if (actionId === 'deleteStampBtn') {
+            deleteSavedStamp(this.stampName);
+            this.selectStamp(listStamps()[0].name);
+        }
+    }
+    setParamValue(paramId, value) {
+        if (paramId === 'paintTool') {
+            if (!PAINT_TOOL_OPTIONS.some(option => option.value === value)) throw new Error(`Unknown drawing tool "${value}".`);
+            this.tool = value;
+        } else if (paramId === 'brushState') {
+            const state = parseInt(value);
+            if (!(state >= 0 && state < this.target.getStateCount())) throw new Error(`State ${value} does not exist in this rule.`);
+            this.brushState = state;
+        } else if (paramId === 'brushSize') {
+            this.brushSize = Math.max(1, parseInt(value));
+        } else if (paramId === 'stampName') {
+            this.selectStamp(value);
+            this.tool = 'stamp'; // Choosing a stamp means wanting to place it
+        } else if (paramId === 'newStampName') {
+            this.newStampName = String(value);
+        }
+    }
+}
@@ -0,0 +1,441 @@
+// --- systems/hashlife.js ---
+// Gosper's HashLife for Life-like (B/S) rules on an unbounded plane.
+// The universe is a hash-consed quadtree; each node memoizes its future center, so repeated
+// structure in space and time lets a single step() jump 2^k generations at once.
+import { GenerativeSystem } from '../base_system.js';
+import { parseLifeRule, LIFE_RULE_PRESETS } from './cellular_automata.js';
+import { parsePattern } from './pattern_io.js';
+import { isClassicNeighborhood } from './grid_neighborhood.js';
+
+const MAX_NODES = 1500000; // Node table size that triggers a cache flush / garbage collection
+
+// Level-2 base cases only look one cell around, so HashLife is limited to the 8-cell Moore neighborhood.
+// B0 rules are out too: empty space fills in one step, which the infinite empty plane can't represent
+// (and the empty-node shortcut in successor() assumes emptiness stays empty).
+function parseHashLifeRule(ruleString) {
+    const rule = parseLifeRule(ruleString);
+    if (!isClassicNeighborhood(rule.neighborhood)) {
+        throw new Error(`HashLife only supports radius-1 Moore rules, not ${rule.ruleString}.`);
+    }
+    if (rule.birth[0]) throw new Error(`HashLife cannot run B0 rules on an unbounded plane (${rule.ruleString}).`);
+    return rule;
+}
+const HASHLIFE_RULE_PRESETS = LIFE_RULE_PRESETS.filter(p => {
+    const rule = parseLifeRule(p.rule);
+    return isClassicNeighborhood(rule.neighborhood) && !rule.birth[0];
+});
+
+// --- Quadtree Node ---
+// Level 0 nodes are single cells; a level-k node covers a 2^k x 2^k square
+class QuadNode {
+    constructor(id, level, nw, ne, sw, se, population) {
+        this.id = id;
+        this.level = level;
+        this.nw = nw; this.ne = ne; this.sw = sw; this.se = se;
+        this.population = population;
+        this.result = null; // Memoized center after 2^stepExponent generations
+    }
+}
+
+// --- Hash-consed Universe ---
+class HashLifeUniverse {
+    constructor(rule) {
+        this.rule = rule;
+        this.stepExponent = 0;
+        this.resetTable();
+    }
+
+    resetTable() {
+        this.nodes = new Map();
+        this.emptyNodes = [];
+        this.nextId = 2;
+        this.deadCell = new QuadNode(0, 0, null, null, null, null, 0);
+        this.liveCell = new QuadNode(1, 0, null, null, null, null, 1);
+        this.root = this.empty(3);
+        this.originX = -4; // World coordinate of the root's top-left corner
+        this.originY = -4;
+    }
+
+    // Canonical node for four children - identical subtrees are shared
+    join(nw, ne, sw, se) {
+        const key = `${nw.id},${ne.id},${sw.id},${se.id}`;
+        let node = this.nodes.get(key);
+        if (!node) {
+            const population = nw.population + ne.population + sw.population + se.population;
+            node = new QuadNode(this.nextId++, nw.level + 1, nw, ne, sw, se, population);
+            this.nodes.set(key, node);
+        }
+        return node;
+    }
+
+    empty(level) {
+        if (level === 0) return this.deadCell;
+        if (!this.emptyNodes[level]) {
+            const child = this.empty(level - 1);
+            this.emptyNodes[level] = this.join(child, child, child, child);
+        }
+        return this.emptyNodes[level];
+    }
+
+    // Results depend on rule and step size; changing either invalidates every memo
+    clearResults() { this.nodes.forEach(node => { node.result = null; }); }
+    setRule(rule) { this.rule = rule; this.clearResults(); }
+    setStepExponent(exponent) {
+        if (exponent === this.stepExponent) return;
+        this.stepExponent = exponent;
+        this.clearResults();
+    }
+
+    // Grow the root around its center by one level
+    expand() {
+        const root = this.root;
+        const e = this.empty(root.level - 1);
+        this.root = this.join(
+            this.join(e, e, e, root.nw), this.join(e, e, root.ne, e),
+            this.join(e, root.sw, e, e), this.join(root.se, e, e, e));
+        const half = 2 ** (root.level - 1);
+        this.originX -= half;
+        this.originY -= half;
+    }
+
+    // True when every live cell sits in the central quarter of the root
+    isPadded() {
+        const r = this.root;
+        return r.nw.se.se.population + r.ne.sw.sw.population + r.sw.ne.ne.population + r.se.nw.nw.population === r.population;
+    }
+
+    // --- Single Cell Access (world coordinates) ---
+    getCell(x, y) {
+        let node = this.root;
+        let size = 2 ** node.level;
+        let lx = x - this.originX, ly = y - this.originY;
+        if (lx < 0 || ly < 0 || lx >= size || ly >= size) return 0;
+        while (node.level > 0) {
+            if (node.population === 0) return 0;
+            size /= 2;
+            const east = lx >= size, south = ly >= size;
+            node = south ? (east ? node.se : node.sw) : (east ? node.ne : node.nw);
+            if (east) lx -= size;
+            if (south) ly -= size;
+        }
+        return node.population;
+    }
+
+    setCell(x, y, alive) {
+        while (x < this.originX || y < this.originY ||
+               x >= this.originX + 2 ** this.root.level || y >= this.originY + 2 ** this.root.level) {
+            this.expand();
+        }
+        this.root = this.setCellIn(this.root, x - this.originX, y - this.originY, alive);
+    }
+
+    setCellIn(node, lx, ly, alive) {
+        if (node.level === 0) return alive ? this.liveCell : this.deadCell;
+        const half = 2 ** (node.level - 1);
+        const east = lx >= half, south = ly >= half;
+        const cx = east ? lx - half : lx, cy = south ? ly - half : ly;
+        return this.join(
+            !east && !south ? this.setCellIn(node.nw, cx, cy, alive) : node.nw,
+            east && !south ? this.setCellIn(node.ne, cx, cy, alive) : node.ne,
+            !east && south ? this.setCellIn(node.sw, cx, cy, alive) : node.sw,
+            east && south ? this.setCellIn(node.se, cx, cy, alive) : node.se);
+    }
+
+    // --- Evolution ---
+    // Level-2 base case: the 2x2 center of a 4x4 block after one generation
+    evolveLevel2(node) {
+        const bits = [node.nw, node.ne, node.sw, node.se];
+        const cell = (x, y) => {
+            const quadrant = bits[(y >= 2 ? 2 : 0) + (x >= 2 ? 1 : 0)];
+            const leaf = [quadrant.nw, quadrant.ne, quadrant.sw, quadrant.se][(y % 2) * 2 + (x % 2)];
+            return leaf.population;
+        };
+        const next = (x, y) => {
+            let neighbors = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx !== 0 || dy !== 0) neighbors += cell(x + dx, y + dy);
+                }
+            }
+            const alive = cell(x, y) ? this.rule.survival[neighbors] : this.rule.birth[neighbors];
+            return alive ? this.liveCell : this.deadCell;
+        };
+        return this.join(next(1, 1), next(2, 1), next(1, 2), next(2, 2));
+    }
+
+    // Center (level k-1) of a level-k node, advanced by 2^min(stepExponent, k-2) generations
+    successor(node) {
+        if (node.result) return node.result;
+        let result;
+        if (node.population === 0) {
+            result = node.nw;
+        } else if (node.level === 2) {
+            result = this.evolveLevel2(node);
+        } else {
+            const { nw, ne, sw, se } = node;
+            // Nine overlapping sub-squares, each advanced by the (possibly full) step
+            const n00 = this.successor(nw);
+            const n01 = this.successor(this.join(nw.ne, ne.nw, nw.se, ne.sw));
+            const n02 = this.successor(ne);
+            const n10 = this.successor(this.join(nw.sw, nw.se, sw.nw, sw.ne));
+            const n11 = this.successor(this.join(nw.se, ne.sw, sw.ne, se.nw));
+            const n12 = this.successor(this.join(ne.sw, ne.se, se.nw, se.ne));
+            const n20 = this.successor(sw);
+            const n21 = this.successor(this.join(sw.ne, se.nw, sw.se, se.sw));
+            const n22 = this.successor(se);
+            if (this.stepExponent < node.level - 2) {
+                // Partial speed: the sub-squares already cover the whole step, just take their centers
+                const center = (a, b, c, d) => this.join(a.se, b.sw, c.ne, d.nw);
+                result = this.join(
+                    center(n00, n01, n10, n11), center(n01, n02, n11, n12),
+                    center(n10, n11, n20, n21), center(n11, n12, n21, n22));
+            } else {
+                // Full speed: a second round of successors doubles the elapsed time
+                result = this.join(
+                    this.successor(this.join(n00, n01, n10, n11)), this.successor(this.join(n01, n02, n11, n12)),
+                    this.successor(this.join(n10, n11, n20, n21)), this.successor(this.join(n11, n12, n21, n22)));
+            }
+        }
+        node.result = result;
+        return result;
+    }
+
+    // Advance the whole universe by 2^stepExponent generations
+    step() {
+        // Pad so nothing can escape the result square: level >= k + 3 and pattern in the central quarter
+        while (this.root.level < this.stepExponent + 3 || !this.isPadded()) this.expand();
+        const quarter = 2 ** (this.root.level - 2);
+        this.root = this.successor(this.root);
+        this.originX += quarter;
+        this.originY += quarter;
+        if (this.nodes.size > MAX_NODES) this.collectGarbage();
+    }
+
+    // Rebuild the table keeping only nodes reachable from the root (memos are dropped)
+    collectGarbage() {
+        const oldRoot = this.root;
+        const { originX, originY } = this;
+        const rebuilt = new Map();
+        this.resetTable();
+        const copy = (node) => {
+            if (node.level === 0) return node.population ? this.liveCell : this.deadCell;
+            let fresh = rebuilt.get(node.id);
+            if (!fresh) {
+                fresh = this.join(copy(node.nw), copy(node.ne), copy(node.sw), copy(node.se));
+                rebuilt.set(node.id, fresh);
+            }
+            return fresh;
+        };
+        this.root = copy(oldRoot);
+        this.originX = originX;
+        this.originY = originY;
+        console.log(`HashLife node table collected: ${this.nodes.size} nodes kept.`);
+    }
+
+    // --- Queries for Rendering ---
+    // Visit live blocks intersecting [x0, x1) x [y0, y1); nodes of size <= minSize are reported whole
+    forEachLiveBlock(x0, y0, x1, y1, minSize, callback) {
+        const visit = (node, nx, ny) => {
+            if (node.population === 0) return;
+            const size = 2 ** node.level;
+            if (nx >= x1 || ny >= y1 || nx + size <= x0 || ny + size <= y0) return;
+            if (node.level === 0 || size <= minSize) {
+                callback(nx, ny, size, node.population);
+                return;
+            }
+            const half = size / 2;
+            visit(node.nw, nx, ny);
+            visit(node.ne, nx + half, ny);
+            visit(node.sw, nx, ny + half);
+            visit(node.se, nx + half, ny + half);
+        };
+        visit(this.root, this.originX, this.originY);
+    }
+
+    // Bounding box of all live cells, or null when empty
+    getBoundingBox() {
+        if (this.root.population === 0) return null;
+        const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        // Blocks of 2^12 cells are precise enough for framing and keep the walk cheap on huge patterns
+        const blockSize = Math.max(1, 2 ** (this.root.level - 12));
+        this.forEachLiveBlock(-Infinity, -Infinity, Infinity, Infinity, blockSize, (x, y, size) => {
+            box.minX = Math.min(box.minX, x); box.maxX = Math.max(box.maxX, x + size - 1);
+            box.minY = Math.min(box.minY, y); box.maxY = Math.max(box.maxY, y + size - 1);
+        });
+        return box;
+    }
+}
+
+// --- HashLife System ---
+export class HashLife extends GenerativeSystem {
+    constructor(width, height) {
+        super(width, height);
+        this.name = "HashLife (Unbounded Life)";
+        this.params = {
+            rule: 'B3/S23',
+            stepExponent: 0, // Each step advances 2^k generations
+            zoom: 2, // log2 of cell size in pixels (negative = several cells per pixel)
+            soupSize: 128,
+            initialDensity: 0.3,
+            patternText: ''
+        };
+        this.universe = new HashLifeUniverse(parseHashLifeRule(this.params.rule));
+        this.generation = 0n; // BigInt - the step size quickly outgrows Number precision
+        this.viewX = 0; // World coordinate at the canvas center
+        this.viewY = 0;
+        this.panStart = null;
+    }
+
+    reset(randomize = true) {
+        super.reset();
+        this.universe.resetTable();
+        this.generation = 0n;
+        if (randomize) this.randomizeSoup();
+        console.log("HashLife reset.");
+    }
+
+    // Random square soup centered on the origin
+    randomizeSoup() {
+        const size = this.params.soupSize;
+        const start = -Math.floor(size / 2);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (Math.random() < this.params.initialDensity) this.universe.setCell(start + x, start + y, true);
+            }
+        }
+        this.viewX = 0;
+        this.viewY = 0;
+    }
+
+    step() {
+        this.universe.step();
+        this.generation += 1n << BigInt(this.params.stepExponent);
+        this.iteration++; // Lab steps taken, the generation count is reported separately
+    }
+
+    // --- Viewport ---
+    get cellSize() { return 2 ** this.params.zoom; }
+    // Screen pixel -> world cell
+    toWorld(canvasX, canvasY) {
+        return {
+            x: Math.floor(this.viewX + (canvasX - this.width / 2) / this.cellSize),
+            y: Math.floor(this.viewY + (canvasY - this.height / 2) / this.cellSize)
+        };
+    }
+    getViewport() { return { centerX: this.viewX, centerY: this.viewY, cellSize: this.cellSize }; }
+
+    // Visible live blocks for the renderer, merged to pixel size when zoomed out
+    forEachVisibleBlock(callback) {
+        const halfW = this.width / 2 / this.cellSize, halfH = this.height / 2 / this.cellSize;
+        const minSize = Math.max(1, 1 / this.cellSize);
+        this.universe.forEachLiveBlock(this.viewX - halfW, this.viewY - halfH, this.viewX + halfW, this.viewY + halfH, minSize, callback);
+    }
+
+    fitView() {
+        const box = this.universe.getBoundingBox();
+        if (!box) return;
+        this.viewX = (box.minX + box.maxX + 1) / 2;
+        this.viewY = (box.minY + box.maxY + 1) / 2;
+        const fit = Math.min(this.width / (box.maxX - box.minX + 1), this.height / (box.maxY - box.minY + 1)) * 0.9;
+        this.params.zoom = Math.max(-40, Math.min(4, Math.floor(Math.log2(fit))));
+    }
+
+    // --- Methods for Lab Interface ---
+    getIteration() { return this.generation; }
+    getPopulation() { return this.universe.root.population; }
+    getVisualizationHints() { return { renderMode: 'quadtree', cellSize: this.cellSize }; }
+    getInteractionHint() { return 'Left-drag to draw cells, right-drag to pan'; }
+
+    handleMouseDown(x, y, button) {
+        if (button === 2) { // Right button pans
+            this.panStart = { x, y, viewX: this.viewX, viewY: this.viewY };
+            return;
+        }
+        this.panStart = null;
+        const cell = this.toWorld(x, y);
+        this.drawState = !this.universe.getCell(cell.x, cell.y); // Drag paints with the toggled state
+        this.universe.setCell(cell.x, cell.y, this.drawState);
+    }
+    handleMouseMove(x, y) {
+        if (this.panStart) {
+            this.viewX = this.panStart.viewX - (x - this.panStart.x) / this.cellSize;
+            this.viewY = this.panStart.viewY - (y - this.panStart.y) / this.cellSize;
+            return;
+        }
+        const cell = this.toWorld(x, y);
+        this.universe.setCell(cell.x, cell.y, this.drawState);
+    }
+    handleMouseUp() { this.panStart = null; }
+
+    importPattern(text) {
+        const pattern = parsePattern(text);
+        const rule = pattern.rule ? parseHashLifeRule(/^life$/i.test(pattern.rule) ? 'B3/S23' : pattern.rule) : null;
+        if (pattern.cells.some(state => state > 1)) throw new Error('HashLife only supports two-state patterns.');
+        this.reset(false);
+        if (rule) this.setRule(rule.ruleString);
+        const startX = -Math.floor(pattern.width / 2), startY = -Math.floor(pattern.height / 2);
+        for (let y = 0; y < pattern.height; y++) {
+            for (let x = 0; x < pattern.width; x++) {
+                if (pattern.cells[y * pattern.width + x]) this.universe.setCell(startX + x, startY + y, true);
+            }
+        }
+        this.fitView();
+        console.log(`HashLife imported ${pattern.width}x${pattern.height} pattern.`);
+    }
+
+    setRule(ruleString) {
+        const rule = parseHashLifeRule(ruleString); // Throws on invalid or non-Moore rulestring
+        this.params.rule = rule.ruleString;
+        this.universe.setRule(rule);
+    }
+
+    onResize(w, h) { this.width = w; this.height = h; } // The plane is unbounded, only the viewport changes
+
+    getParameters() { return [
+        {id: 'stepExponent', label: 'Step Size (2^k generations)', type: 'slider', min: 0, max: 48, step: 1, value: this.params.stepExponent, tooltip:'Generations advanced per step = 2^k'},
+        {id: 'zoom', label: 'Zoom (log2 px per cell)', type: 'slider', min: -40, max: 4, step: 1, value: this.params.zoom, tooltip:'Negative values show several cells per pixel'},
+        {id: 'fitViewBtn', label: '', type: 'button', buttonText:'Fit Pattern', tooltip:'Center and zoom to the live cells'},
+        {id: 'rulePreset', label: 'Rule Preset', type: 'select', value: this.getParamValue('rulePreset'), tooltip:'Well-known Life-like rules',
+            options: [...HASHLIFE_RULE_PRESETS.map(p => ({ value: p.rule, label: `${p.name} (${p.rule})` })), { value: 'custom', label: 'Custom' }]},
+        {id: 'rule', label: 'Rule (B/S)', type: 'text', value: this.params.rule, tooltip:'Birth/Survival neighbor counts, e.g. B36/S23'},
+        {id: 'soupSize', label: 'Soup Size (cells)', type: 'slider', min: 16, max: 1024, step: 16, value: this.params.soupSize, tooltip:'Side of the random soup square'},
+        {id: 'initialDensity', label: 'Soup Density', type: 'slider', min: 0.01, max: 0.8, step: 0.01, value: this.params.initialDensity, tooltip:'Density for Randomize button'},
+        {id: 'randomizeBtn', label: '', type: 'button', buttonText:'Random Soup', tooltip:'Replace the universe with a random soup'},
+        {id: 'patternText', label: 'Pattern (RLE / .cells)', type: 'textarea', rows: 4, resetOnChange: false, value: this.params.patternText, tooltip:'Paste a pattern and press Import'},
+        {id: 'patternFile', label: 'Load Pattern File', type: 'file', accept: '.rle,.cells,.txt', tooltip:'Import an .rle or .cells file'},
+        {id: 'importPatternBtn', label: '', type: 'button', buttonText:'Import Pattern', tooltip:'Replace the universe with the pattern, centered on the origin'}
+    ]; }
+    getParamValue(paramId) {
+        if (paramId === 'rulePreset') {
+            const preset = HASHLIFE_RULE_PRESETS.find(p => p.rule === this.params.rule);
+            return preset ? preset.rule : 'custom';
+        }
+        return this.params[paramId];
+    }
+    setParamValue(paramId, value) {
+        switch (paramId) {
+            case 'rule':
+            case 'rulePreset':
+                if (value !== 'custom') this.setRule(value);
+                break;
+            case 'stepExponent':
+                this.params.stepExponent = Math.max(0, parseInt(value));
+                this.universe.setStepExponent(this.params.stepExponent);
+                break;
+            case 'zoom': this.params.zoom = parseInt(value); break;
+            case 'soupSize': this.params.soupSize = Math.max(1, parseInt(value)); break;
+            case 'initialDensity': this.params.initialDensity = parseFloat(value); break;
+            case 'patternText': this.params.patternText = value; break;
+            case 'patternFile':
+                this.params.patternText = value;
+                this.importPattern(value);
+                break;
+            default: console.warn("HashLife unknown param set:", paramId);
+        }
+    }
+    triggerAction(actionId) {
+        if (actionId === 'randomizeBtn') this.reset(true);
+        else if (actionId === 'importPatternBtn') this.importPattern(this.params.patternText);
+        else if (actionId === 'fitViewBtn') this.fitView();
+    }
+} // End HashLife
@@ -1,37 +1,67 @@
 // --- systems/l_system.js ---
-import { GenerativeSystem } from '../system_factory.js';
+import { GenerativeSystem } from '../base_system.js';
+import { parseAxiom, compileGrammar, deriveOnce, expandModules } from './lsystem_grammar.js';
+import { createSeededRandom, randomSeed } from './seeded_random.js';
+import { TurtleInterpreter, SegmentBuffer } from './turtle.js';
+import { listPresets, savePresets, deleteSavedPreset, exportPresetsJSON, parsePresetsJSON } from './lsystem_presets.js';
 
-// Helper function from CA, maybe move to a utils file later
-function degreesToRadians(degrees) { return degrees * (Math.PI / 180); }
-function random(min, max) { return Math.random() * (max - min) + min; }
+const FIT_MARGIN = 0.05; // Fraction of the smaller canvas side kept clear around fitted drawings
+// Context-free grammars stream into the turtle, so only the output is bounded (about 30 bytes per
+// segment). Context-sensitive ones fall back to building each whole string, which is capped.
+const MAX_SEGMENTS = 2000000;
+const MAX_STREAMED_MODULES = 50000000; // Stops grammars that grow without drawing
+const MAX_STRING_MODULES = 100000;
+// Deep derivations are drawn in slices of about this many milliseconds (one per frame, see
+// continueWork), checking the clock every EXPANSION_CHUNK modules
+const EXPANSION_SLICE_MS = 12;
+const EXPANSION_CHUNK = 1000;
 
 // Base L-System Logic (can be reused)
 class LSystemBase extends GenerativeSystem {
     constructor(width, height) {
         super(width, height);
         this.name = "Base L-System";
-        this.lines = [];
         // Default parameters - subclasses MUST override these
          this.params = {
             iterations: 4,
             angle: 25,
             axiom: 'F',
-            rules: { 'F': 'F+F' },
-            initialLengthFactor: 0.2, // % of height
+            rules: 'F -> F+F', // One production per line, see lsystem_grammar.js
+            autoFit: true, // Scale and center the drawing's bounding box to the canvas
+            stepLength: 5, // Turtle step in pixels when autoFit is off
              lengthFactor: 0.6,
             initialThickness: 5,
              thicknessFactor: 0.7,
-            randomness: 0.1 // 0 to 1 factor for angle/length variation
+            randomness: 0.1, // 0 to 1 factor for angle/length variation
+            seed: 1, // Drives stochastic rule choices and turtle jitter, so a result can be regenerated
+            drawSymbols: '', // Symbols besides F and G that draw a forward segment, e.g. 'AB'
+            growth: 'complete', // 'complete', 'derivation' (one rewriting per step) or 'drawing' (segments per step)
+            segmentsPerStep: 10
          };
-        this.currentString = '';
+        this.axiomModules = [];
+        this.modules = null; // Whole derived string ({ symbol, args } modules), only for context-sensitive grammars
+        this.moduleCount = 0;
+        this.segmentBuffer = new SegmentBuffer();
+        this.segmentsTruncated = false;
+        this.turtle = null; // Interpretation still in progress; replaced (and so cancelled) by the next one
+        this.turtleFrame = null;
+        this.polygons = []; // Screen space
+        this.polygons3D = [];
+        this.bounds3D = null;
+        this.screenTransform = { scale: 1, originX: 0, originY: 0 };
+        this.revealedSegments = 0; // Segments shown so far while growing (Infinity shows all, even while still drawing)
      }
 
     reset(){
         super.reset();
-        this.lines = [];
+        this.segmentBuffer = new SegmentBuffer();
+        this.turtle = null;
+        this.polygons = [];
+        this.polygons3D = [];
         try {
             this.generateSystem();
              this.interpretSystem();
+            this.revealedSegments = this.params.growth === 'drawing' ? 0 : Infinity;
         } catch(e) {
             console.error("Error during L-system generation/interpretation:", e);
              // Optionally display error to user via lab interface?
@@ -40,65 +70,191 @@ class LSystemBase extends GenerativeSystem {
     }
 
     generateSystem(){
-        this.currentString = this.params.axiom;
-         let tempString = '';
-        for (let i = 0; i < this.params.iterations; i++) {
-            tempString = ''; // Reset temp string for next iteration
-            for (const char of this.currentString) {
-                tempString += this.params.rules[char] || char;
-            }
-             // Prevent extremely long strings which can freeze the browser
-            if(tempString.length > 100000 && i < this.params.iterations -1) { // Check before last iteration
-                console.warn(`L-System string length exceeded limit at iteration ${i+1}. Stopping early.`);
-                 this.currentString = tempString; // Use the long string, but stop iterating
-                 this.effectiveIterations = i + 1; // Store how many iterations actually completed
-                 break; // Exit loop early
-             }
-            this.currentString = tempString;
-             this.effectiveIterations = this.params.iterations;
-         }
-         console.log(`L-System string length: ${this.currentString.length}`);
+        this.grammar = compileGrammar(this.params.rules);
+        this.axiomModules = parseAxiom(this.params.axiom);
+        this.streaming = !this.grammar.contextSensitive;
+        this.deriveRandom = createSeededRandom(this.params.seed); // Kept so growth steps continue the same sequence
+        this.modules = this.streaming ? null : this.axiomModules;
+        this.effectiveIterations = 0;
+        this.derivationCapped = false;
+        if (this.params.growth !== 'derivation') {
+            while (this.deriveStep()) { /* Derive to full depth */ }
+        }
      }
 
-    // Interpretation needs to be implemented by subclasses based on desired structure
+    // Apply one more rewriting iteration; returns false once the depth or the length cap is reached.
+    // A streamed grammar only records the depth, moduleSource() expands it on demand.
+    deriveStep() {
+        if (this.effectiveIterations >= this.params.iterations || this.derivationCapped) return false;
+        this.effectiveIterations++;
+        if (this.streaming) return true;
+        this.modules = deriveOnce(this.modules, this.grammar, this.deriveRandom);
+         // Prevent extremely long strings which can freeze the browser
+        if (this.modules.length > MAX_STRING_MODULES && this.effectiveIterations < this.params.iterations) {
+            console.warn(`L-System string length exceeded limit at iteration ${this.effectiveIterations}. Stopping early.`);
+            this.derivationCapped = true; // Keep the long string
+        }
+        return true;
+    }
+
+    // Modules of the current derivation: a depth-first generator, or the whole string as a fallback
+    moduleSource() {
+        return this.streaming
+            ? expandModules(this.axiomModules, this.grammar, this.effectiveIterations, this.params.seed)
+            : this.modules;
+    }
+
+    // Separate stream for turtle jitter, so editing one rule doesn't reshuffle every angle
+    createTurtleRandom() { return createSeededRandom((this.params.seed ^ 0x5bd1e995) >>> 0); }
+
+    // Where the turtle starts on screen at raw scale (autoFit off) and its initial heading in degrees
+    getTurtleFrame() {
+        return { x: this.width / 2, y: this.height / 2, heading: 90 };
+    }
+
+    // One turtle for every L-system (see turtle.js); the 3D result is kept for systems that project it.
+    // The first slice is drawn right away, the rest by continueWork().
     interpretSystem(){
-        console.warn("Base interpretSystem called - Subclass should implement turtle logic.");
-        this.lines = []; // Ensure lines are cleared
+        this.turtleFrame = this.getTurtleFrame();
+        this.turtle = new TurtleInterpreter(this.moduleSource(), {
+            angle: this.params.angle,
+            length: this.params.stepLength,
+            heading: this.turtleFrame.heading,
+            width: this.params.initialThickness,
+            widthFactor: this.params.thicknessFactor,
+            branchLengthFactor: this.params.lengthFactor,
+            branchWidthFactor: this.params.thicknessFactor,
+            jitter: this.params.randomness,
+            random: this.createTurtleRandom(),
+            drawSymbols: this.params.drawSymbols,
+            maxSegments: MAX_SEGMENTS,
+            maxModules: MAX_STREAMED_MODULES
+        });
+        this.segmentBuffer = this.turtle.segments;
+        this.polygons3D = this.turtle.polygons;
+        this.bounds3D = this.turtle.bounds;
+        this.continueWork();
     }
 
-    getLines() { return this.lines; }
+    hasPendingWork() { return this.turtle !== null; }
+
+    // Interpret modules for about EXPANSION_SLICE_MS, then lay out what has been drawn so far
+    continueWork() {
+        const turtle = this.turtle;
+        if (!turtle) return;
+        const deadline = performance.now() + EXPANSION_SLICE_MS;
+        try {
+            while (!turtle.run(EXPANSION_CHUNK) && performance.now() < deadline) { /* Next chunk */ }
+        } catch (e) {
+            console.error("Error during L-system interpretation:", e); // Keeps what was drawn so far
+            turtle.done = true;
+        }
+        this.segmentsTruncated = turtle.truncated;
+        this.moduleCount = turtle.moduleCount;
+        if (turtle.done) {
+            if (turtle.truncated) console.warn(`L-System drawing stopped at ${turtle.segments.count} segments / ${turtle.moduleCount} modules.`);
+            this.turtle = null;
+        }
+        this.layoutDrawing(this.turtleFrame);
+    }
+
+    // Map the turtle drawing onto the screen: drop z and flip y (the turtle's y axis points up).
+    // With autoFit the bounding box is scaled and centered into the canvas, otherwise the turtle keeps
+    // its raw step length from the frame's start point. Line widths stay in pixels either way.
+    // Segments stay in the buffer and are transformed while drawing; polygons are few, so they move here.
+    layoutDrawing(frame) {
+        let scale = 1, originX = frame.x, originY = frame.y;
+        const { min, max } = this.bounds3D;
+        if (this.params.autoFit && (this.segmentBuffer.count > 0 || this.polygons3D.length > 0)) {
+            const margin = Math.min(this.width, this.height) * FIT_MARGIN;
+            const spanX = max[0] - min[0], spanY = max[1] - min[1];
+            scale = Math.min(
+                spanX > 0 ? (this.width - 2 * margin) / spanX : Infinity,
+                spanY > 0 ? (this.height - 2 * margin) / spanY : Infinity);
+            if (!Number.isFinite(scale)) scale = 1; // A single point
+            originX = this.width / 2 - scale * (min[0] + max[0]) / 2;
+            originY = this.height / 2 + scale * (min[1] + max[1]) / 2;
+        }
+        this.screenTransform = { scale, originX, originY }; // screen = (originX + x * scale, originY - y * scale)
+        this.polygons = this.polygons3D.map(p => ({
+            points: p.points.map(([x, y]) => [originX + x * scale, originY - y * scale]), color: p.color, segmentCount: p.segmentCount
+        }));
+    }
+
+    getSegmentBuffer() { return this.segmentBuffer; }
+    getVisibleSegmentCount() { return Math.min(this.revealedSegments, this.segmentBuffer.count); }
+    getScreenTransform() { return this.screenTransform; }
+    getPolygons() { return this.polygons.filter(p => p.segmentCount <= this.revealedSegments); }
+    getStatistics() { return [{ label: 'Lines', value: this.getVisibleSegmentCount() }, { label: 'Modules', value: this.moduleCount }]; }
+    getInfoItems() {
+        return [
+            { label: 'Derivation', value: `${this.effectiveIterations} / ${this.params.iterations}${this.derivationCapped ? ' (length cap)' : ''}` },
+            { label: 'Segments', value: `${this.getVisibleSegmentCount()} / ${this.segmentBuffer.count}${this.turtle ? ' (drawing...)' : ''}${this.segmentsTruncated ? ' (segment cap)' : ''}` },
+            { label: 'Expansion', value: this.streaming ? 'streamed' : 'whole string (context-sensitive)' }
+        ];
+    }
+    // Fully grown counts as settled, so "Pause when settled" stops playback at the end
+    getSteadyState() { return this.isGrown() ? { kind: 'grown', period: 0, since: this.iteration } : null; }
+
+    isGrown() {
+        if (this.turtle || this.revealedSegments < this.segmentBuffer.count) return false;
+        return this.params.growth !== 'derivation' || this.effectiveIterations >= this.params.iterations || this.derivationCapped;
+    }
     getVisualizationHints() { return { renderMode: 'lines', lineWidthFactor: Math.max(0.2, 1.0 - (this.params.iterations / 10)*0.8) }; } // Thinner lines for more iterations
     getInteractionHint() { return 'Observing L-System'; }
      // Base parameter handling - subclasses can override or extend
     getParameters() { return [
-        {id: 'iterations', label: 'Iterations', type: 'slider', min: 0, max: 8, step: 1, value:this.params.iterations, tooltip:'Recursion depth'},
+        {id: 'iterations', label: 'Iterations', type: 'slider', min: 0, max: 12, step: 1, value:this.params.iterations, tooltip:'Recursion depth'},
         {id: 'angle', label: 'Angle (°)', type: 'slider', min: 0, max: 180, step: 1, value:this.params.angle, tooltip:'Base turning angle'},
-        {id: 'axiom', label: 'Axiom', type: 'text', value: this.params.axiom},
-         // Could use textarea for rules if they get complex
-        ...Object.keys(this.params.rules).map(key => ({
-             id: `rule_${key}`, label: `Rule (${key})`, type: 'text', value: this.params.rules[key]
-         })),
-        {id: 'randomness', label: 'Randomness', type: 'slider', min: 0, max: 1, step: 0.05, value: this.params.randomness, tooltip:'Angle/Length variation factor'}
+        {id: 'axiom', label: 'Axiom', type: 'text', value: this.params.axiom, tooltip:'Start string; modules may carry arguments, e.g. A(5)'},
+        {id: 'rules', label: 'Rules (one per line)', type: 'textarea', rows: 4, resetOnChange: false, value: this.params.rules,
+            tooltip:'X -> successor. Parameters, conditions and expressions: A(t) : t>0 -> F(t)[+A(t-1)]. Weighted alternatives: F -> (0.33) F[+F]F | (0.33) F[-F]F | (0.34) F[-F][+F]. Context: b < a > c -> x, with "#ignore: +-F" listing symbols to skip. F(length,width), f(length), +(degrees), !(width) use their arguments when given'},
+        {id: 'autoFit', label: 'Fit to View', type: 'checkbox', value: this.params.autoFit, tooltip:'Scale and center the whole drawing in the canvas'},
+        {id: 'stepLength', label: 'Step Length (px)', type: 'slider', min: 1, max: 50, step: 0.5, value: this.params.stepLength, tooltip:'Raw turtle step, used when Fit to View is off'},
+        {id: 'drawSymbols', label: 'Drawing Symbols', type: 'text', value: this.params.drawSymbols || '',
+            tooltip:"Symbols that draw forward like F and G, e.g. AB. Turtle: f move, + - turn, & ^ pitch, \\ / roll, | turn around, ! width, ' color, [ ] branch, { . } filled polygon"},
+        {id: 'randomness', label: 'Randomness', type: 'slider', min: 0, max: 1, step: 0.05, value: this.params.randomness, tooltip:'Angle/Length variation factor'},
+        {id: 'seed', label: 'Random Seed', type: 'number', min: 0, step: 1, value: this.params.seed, tooltip:'Same seed, same plant: drives rule choices and jitter'},
+        {id: 'newSeedBtn', label: 'Variation', type: 'button', buttonText: 'New Seed', tooltip:'Pick a random seed and regrow'},
+        {id: 'growth', label: 'Growth (Play)', type: 'select', value: this.params.growth, tooltip:'What Play and Step animate; Reset returns to the start',
+            options: [{ value: 'complete', label: 'Complete drawing' }, { value: 'derivation', label: 'One iteration per step' }, { value: 'drawing', label: 'Segments per step' }]},
+        {id: 'segmentsPerStep', label: 'Segments per Step', type: 'slider', min: 1, max: 200, step: 1, value: this.params.segmentsPerStep, tooltip:'Drawing growth speed'}
     ]; }
     getParamValue(paramId){
-        if (paramId.startsWith('rule_')) {
-             const key = paramId.substring(5);
-            return this.params.rules[key];
-         }
         return this.params[paramId];
     }
     setParamValue(paramId, value){
         let needsReset = true; // Most param changes require regeneration
-         if (paramId.startsWith('rule_')) {
-            const key = paramId.substring(5);
-            this.params.rules[key] = value;
+         if (paramId === 'rules') {
+            compileGrammar(value); // Throws on syntax errors, keeping the old rules
+            this.params.rules = value;
+         } else if (paramId === 'seed') {
+            if (!Number.isFinite(value)) return;
+            this.params.seed = Math.max(0, Math.floor(value));
          } else if (paramId === 'iterations') {
             this.params.iterations = Math.max(0, parseInt(value));
          } else if (paramId === 'angle') {
             this.params.angle = parseFloat(value);
+        } else if (paramId === 'autoFit') {
+            this.params.autoFit = !!value;
+        } else if (paramId === 'stepLength') {
+            if (!(parseFloat(value) > 0)) return;
+            this.params.stepLength = parseFloat(value);
+        } else if (paramId === 'growth') {
+            if (!['complete', 'derivation', 'drawing'].includes(value)) return;
+            this.params.growth = value;
+        } else if (paramId === 'segmentsPerStep') {
+            this.params.segmentsPerStep = Math.max(1, parseInt(value) || 1);
+            needsReset = false; // Applies from the next step
         } else if (paramId === 'randomness'){
             this.params.randomness = parseFloat(value);
+        } else if (paramId === 'drawSymbols') {
+            const symbols = String(value).replace(/\s+/g, '');
+            const invalid = [...symbols].find(c => !/[A-Za-z]/.test(c));
+            if (invalid) throw new Error(`"${invalid}" is a turtle command; drawing symbols must be letters.`);
+            this.params.drawSymbols = symbols;
         } else if (paramId === 'axiom'){
+             parseAxiom(value);
              this.params.axiom = value;
          } else {
              needsReset = false; // Unknown param, don't reset
@@ -112,7 +268,25 @@ class LSystemBase extends GenerativeSystem {
          this.reset(); // Recalculate lines based on new dimensions/start position
      }
 
-     step(){ /* L-Systems typically generate statically */ }
+    triggerAction(actionId){
+        if (actionId === 'newSeedBtn') {
+            this.params.seed = randomSeed();
+            this.reset();
+        }
+    }
+
+    // Growth playback: one more rewriting iteration, or the next few turtle segments
+     step(){
+        if (this.isGrown()) return;
+        super.step();
+        if (this.params.growth === 'derivation') {
+            this.deriveStep();
+            this.interpretSystem();
+            this.revealedSegments = Infinity;
+        } else {
+            this.revealedSegments = Math.min(this.segmentBuffer.count, this.revealedSegments + this.params.segmentsPerStep);
+        }
+     }
 } // End LSystemBase
 
 
@@ -126,71 +300,24 @@ export class LSystemTree extends LSystemBase {
              iterations: 4,
              angle: 22.5, // Common branching angle
              axiom: 'X',
-             // rules: { 'X': 'F+[[X]-X]-F[-FX]+X', 'F':'FF'}, // Complex Plant
-            rules: {'X': 'F-[[X]+X]+F[+FX]-X', 'F':'FF'}, // Another common variant
-            initialLengthFactor: 0.18, // Start slightly longer
+             // rules: 'X -> F+[[X]-X]-F[-FX]+X\nF -> FF', // Complex Plant
+            rules: 'X -> F-[[X]+X]+F[+FX]-X\nF -> FF', // Another common variant
+            autoFit: true,
+            stepLength: 5,
             lengthFactor: 0.55, // Shrink more per level
             initialThickness: 8,
             thicknessFactor: 0.65,
-             randomness: 0.15 // Add some randomness
+             randomness: 0.15, // Add some randomness
+             seed: 1,
+             drawSymbols: '',
+             growth: 'complete',
+             segmentsPerStep: 10
          };
          this.reset(); // Generate initial tree
      }
 
-    interpretSystem(){
-         this.lines = []; // Clear previous lines
-         const turtleStack = [];
-         const initialLen = this.height * this.params.initialLengthFactor;
-         let current = {
-            x: this.width / 2, y: this.height, // Start at bottom center
-            angle: -Math.PI / 2, // Point up
-            len: initialLen / Math.pow(this.params.lengthFactor, -this.effectiveIterations*0.5 ), // Heuristic length scaling
-             // length needs scaling based on actual iterations run
-            // len: initialLen / Math.pow(1.6, this.effectiveIterations || this.params.iterations), // Scale length based on iterations run
-            thickness: this.params.initialThickness
-        };
-         const angleRad = degreesToRadians(this.params.angle);
-         const randFactor = this.params.randomness;
-
-        for (const char of this.currentString) {
-            let randAngle = (Math.random() - 0.5) * angleRad * randFactor;
-            let randLenFactor = 1.0 + (Math.random() - 0.5) * randFactor * 0.5; // Less length randomness
-
-            switch (char) {
-                case 'F':
-                    const nextX = current.x + Math.cos(current.angle) * current.len * randLenFactor;
-                    const nextY = current.y + Math.sin(current.angle) * current.len * randLenFactor;
-                    this.lines.push({
-                        x1: current.x, y1: current.y, x2: nextX, y2: nextY,
-                        thickness: Math.max(0.4, current.thickness),
-                         // Determine leaf info based on being a terminal branch? Harder here.
-                        leafInfo: { type: 'none' } // Basic default
-                    });
-                    current.x = nextX; current.y = nextY;
-                    break;
-                case '+': current.angle += angleRad + randAngle; break;
-                case '-': current.angle -= angleRad + randAngle; break;
-                case '[':
-                     turtleStack.push({ ...current });
-                    current.len *= this.params.lengthFactor;
-                     current.thickness *= this.params.thicknessFactor;
-                    break;
-                 case ']':
-                    // Maybe add leaf at branch end defined by ']' ?
-                    if (this.lines.length > 0 && turtleStack.length > 0) { // Add leaf if we drew something before popping
-                        const depth = turtleStack.length; // Estimate depth
-                         const maxD = this.params.iterations;
-                        this.lines[this.lines.length - 1].leafInfo = {
-                            type: 'ellipse', // Willow-like
-                             size: Math.max(1.5, current.thickness * 1.5 * (1+(maxD-depth)/maxD) ), // Larger leaves higher up?
-                            color: `hsl(110, 60%, ${60+depth*3}%)` // Brighter green leaves
-                         };
-                     }
-                    if(turtleStack.length > 0) current = turtleStack.pop();
-                    break;
-             }
-        }
-    } // End interpretSystem for Tree
+    // Bottom center, pointing up
+    getTurtleFrame() { return { x: this.width / 2, y: this.height, heading: 90 }; }
 } // End LSystemTree
 
 
@@ -204,62 +331,237 @@ export class KochSnowflake extends LSystemBase {
             iterations: 4,
             angle: 60, // 60 degrees for Koch curve
             axiom: 'F++F++F', // Start with an equilateral triangle shape
-            rules: { 'F': 'F-F++F-F' },
+            rules: 'F -> F-F++F-F',
             // Adjust length/thickness factors as needed for visual appeal
-            initialLengthFactor: 0.3, // Adjust size based on screen
-            lengthFactor: 0.333, // Koch curve shrinks by 1/3 (theoretical) - use visually adjusted maybe
+            autoFit: true,
+            stepLength: 5,
+            lengthFactor: 1.0, // No branches to shrink
              initialThickness: 2,
              thicknessFactor: 1.0, // Koch usually has uniform thickness
-            randomness: 0 // Koch curve is typically deterministic
+            randomness: 0, // Koch curve is typically deterministic
+            seed: 1,
+            drawSymbols: '',
+            growth: 'complete',
+            segmentsPerStep: 10
         };
-         this.startX = width * 0.2; // Adjust starting position/size for visibility
-        this.startY = height * 0.7;
-         this.initialAngle = 0; // Start horizontal? or degreesToRadians(30) for flat bottom?
          this.reset();
      }
 
-     interpretSystem(){
-         this.lines = []; // Clear previous lines
-        const turtleStack = [];
-         // Initial length calculation needs care - depends on screen space
-        // Let's make initialLength relative to the available horizontal space mostly
-        const usableWidth = this.width * 0.6;
-         let currentLen = usableWidth;
-        // For Koch, length decreases by 1/3 per iteration theoretically.
-         // Total horizontal span will grow複雑に. Start with initial len that fits.
-        // Rough estimation: Start shorter based on iterations
-         currentLen = usableWidth / Math.pow(3, (this.effectiveIterations || this.params.iterations) * 0.8);
-
-
-         let current = {
-            x: this.startX, y: this.startY,
-            angle: this.initialAngle,
-             len: currentLen,
-             thickness: this.params.initialThickness
+    // Start left of center heading right
+    getTurtleFrame() { return { x: this.width * 0.2, y: this.height * 0.7, heading: 0 }; }
+
+} // End KochSnowflake
+
+// --- L-System Preset Gallery ---
+// Classic curves and plants from lsystem_presets.js, plus grammars the user saved in this browser
+export class LSystemGallery extends LSystemBase {
+    constructor(width, height) {
+        super(width, height);
+        this.name = "L-System Gallery";
+        this.params = {
+            iterations: 4,
+            angle: 90,
+            axiom: 'F',
+            rules: '',
+            heading: 90, // Start direction in degrees, set by the preset
+            autoFit: true,
+            stepLength: 5,
+            lengthFactor: 1.0, // Classic grammars keep one step length throughout
+            initialThickness: 1.5,
+            thicknessFactor: 1.0,
+            randomness: 0,
+            seed: 1,
+            drawSymbols: '',
+            growth: 'complete',
+            segmentsPerStep: 10
         };
-         const angleRad = degreesToRadians(this.params.angle);
-
-         for (const char of this.currentString) {
-            switch (char) {
-                case 'F':
-                    const nextX = current.x + Math.cos(current.angle) * current.len;
-                    const nextY = current.y + Math.sin(current.angle) * current.len;
-                     this.lines.push({ x1: current.x, y1: current.y, x2: nextX, y2: nextY, thickness: current.thickness, leafInfo: {type:'none'}});
-                     current.x = nextX; current.y = nextY;
-                    break;
-                case '+': current.angle += angleRad; break;
-                case '-': current.angle -= angleRad; break;
-                // '[' and ']' not typically used in basic Koch snowflake axiom/rule
-                case '[': turtleStack.push({ ...current }); break; // Support if rules use them
-                 case ']': if(turtleStack.length > 0) current = turtleStack.pop(); break;
-             }
+        this.presetName = ''; // Name for saving the current grammar
+        this.presetJSON = ''; // Import / export buffer
+        this.loadPreset(listPresets()[0]);
+    }
+
+    loadPreset(preset) {
+        const { axiom, rules, angle, iterations, heading, drawSymbols } = preset;
+        Object.assign(this.params, { axiom, rules, angle, iterations, heading, drawSymbols });
+        this.presetName = preset.saved ? preset.name : '';
+        this.reset();
+    }
+
+    getCurrentPreset() {
+        const { axiom, rules, angle, iterations, heading, drawSymbols } = this.params;
+        return { name: this.presetName, axiom, rules, angle, iterations, heading, drawSymbols };
+    }
+
+    // The listed preset whose grammar is loaded, if it hasn't been edited since; a saved copy of a
+    // built-in grammar is told apart by the current preset name
+    findLoadedPreset() {
+        const { axiom, rules, angle, drawSymbols } = this.params;
+        const matches = listPresets().filter(p => p.axiom === axiom && p.rules === rules && p.angle === angle && p.drawSymbols === drawSymbols);
+        return matches.find(p => p.name === this.presetName) || matches[0];
+    }
+
+    getTurtleFrame() { return { x: this.width * 0.2, y: this.height * 0.7, heading: this.params.heading }; }
+
+    getParameters() {
+        const base = super.getParameters().map(param => param.id === 'iterations' ? { ...param, max: 14 } : param); // Curves need deeper recursion
+        return [
+            {id: 'preset', label: 'Preset', type: 'select', value: this.getParamValue('preset'), tooltip:'Load a classic grammar or one you saved',
+                options: [...listPresets().map(p => ({ value: p.name, label: p.saved ? `${p.name} (saved)` : p.name })), { value: 'custom', label: 'Custom' }]},
+            ...base,
+            {id: 'presetName', label: 'Preset Name', type: 'text', value: this.presetName, tooltip:'Name for saving the current grammar'},
+            {id: 'savePresetBtn', label: '', type: 'button', buttonText: 'Save as Preset', tooltip:'Store axiom, rules, angle, iterations and drawing symbols in this browser'},
+            {id: 'deletePresetBtn', label: '', type: 'button', buttonText: 'Delete Saved Preset', tooltip:'Remove the chosen saved preset (built-ins stay)'},
+            {id: 'presetJSON', label: 'Presets (JSON)', type: 'textarea', rows: 4, resetOnChange: false, value: this.presetJSON, tooltip:'Paste presets and press Import; Export writes your saved presets here'},
+            {id: 'presetFile', label: 'Load Preset File', type: 'file', accept: '.json,application/json', tooltip:'Read a JSON preset file into the field above'},
+            {id: 'importPresetsBtn', label: '', type: 'button', buttonText: 'Import Presets', tooltip:'Save the presets from the JSON field and load the first one'},
+            {id: 'exportPresetsBtn', label: '', type: 'button', buttonText: 'Export as JSON', tooltip:'Write your saved presets (or the current grammar if none) as JSON'}
+        ];
+    }
+    getParamValue(paramId) {
+        if (paramId === 'preset') {
+            const preset = this.findLoadedPreset();
+            return preset ? preset.name : 'custom';
         }
-    } // End interpretSystem for Koch
-     onResize(newW, newH){ /* Reset with adjusted start pos/length */
-         this.width=newW; this.height=newH;
-         this.startX = newW * 0.2;
-        this.startY = newH * 0.7;
-         this.reset();
+        if (paramId === 'presetName') return this.presetName;
+        if (paramId === 'presetJSON') return this.presetJSON;
+        return super.getParamValue(paramId);
+    }
+    setParamValue(paramId, value) {
+        if (paramId === 'preset') {
+            const preset = listPresets().find(p => p.name === value);
+            if (preset) this.loadPreset(preset);
+            return;
+        }
+        if (paramId === 'presetName') {
+            this.presetName = String(value).trim();
+        } else if (paramId === 'presetJSON' || paramId === 'presetFile') {
+            this.presetJSON = value; // File contents stay visible for editing before import
+        } else {
+            super.setParamValue(paramId, value);
+        }
+    }
+    triggerAction(actionId) {
+        if (actionId === 'savePresetBtn') {
+            if (!this.presetName) throw new Error('Give the preset a name first.');
+            savePresets([this.getCurrentPreset()]);
+        } else if (actionId === 'deletePresetBtn') {
+            const preset = this.findLoadedPreset();
+            if (!preset || !preset.saved) throw new Error('Choose a saved preset to delete.');
+            deleteSavedPreset(preset.name);
+            this.presetName = '';
+        } else if (actionId === 'importPresetsBtn') {
+            const names = savePresets(parsePresetsJSON(this.presetJSON));
+            this.loadPreset(listPresets().find(p => p.saved && p.name === names[0]));
+        } else if (actionId === 'exportPresetsBtn') {
+            const saved = listPresets().filter(p => p.saved).map(({ saved, ...preset }) => preset);
+            this.presetJSON = exportPresetsJSON(saved.length > 0 ? saved : [{ ...this.getCurrentPreset(), name: this.presetName || 'My L-system' }]);
+        } else {
+            super.triggerAction(actionId);
+        }
+    }
+} // End LSystemGallery
+
+// --- 3D L-System with Orbit Camera ---
+const LSYSTEM_3D_PRESETS = [
+    { name: 'Hilbert curve 3D', axiom: 'A', angle: 90, iterations: 2, rules: [
+        'A -> B-F+CFC+F-D&F^D-F+&&CFC+F+B//',
+        'B -> A&F^CFB^F^D^^-F-D^|F^B|FC^F^A//',
+        'C -> |D^|F^B-F+C^F^A&&FA&F^C+F+B^F^D//',
+        'D -> |CFB-F+B|FA&F^A&&FB-F+B|FC//'].join('\n') },
+    { name: 'Bush (ABOP fig. 1.25)', axiom: 'A', angle: 22.5, iterations: 5, rules: [
+        "A -> [&FL!A]/////'[&FL!A]///////'[&FL!A]",
+        'F -> S/////F',
+        'S -> FL',
+        "L -> ['''^^{-f+f+f-|-f+f+f}]"].join('\n') },
+    { name: 'Parametric tree', axiom: '!(1)A(6)', angle: 30, iterations: 6, rules: [
+        'A(t) : t>0 -> F(t)[&(35)!(t*0.15)A(t-1)]/(137.5)[&(35)!(t*0.15)A(t-1)]',
+        'A(t) : t<=0 -> F(0.5)'].join('\n') }
+];
+
+export class LSystem3D extends LSystemBase {
+    constructor(width, height) {
+        super(width, height);
+        this.name = "L-System 3D";
+        const preset = LSYSTEM_3D_PRESETS[0];
+        this.params = {
+            iterations: preset.iterations,
+            angle: preset.angle,
+            axiom: preset.axiom,
+            rules: preset.rules,
+            initialThickness: 2, // Line width in pixels at the default zoom
+            thicknessFactor: 0.7, // Applied by '!' without an argument and on each '['
+            seed: 1,
+            drawSymbols: '',
+            growth: 'complete',
+            segmentsPerStep: 10
+        };
+        this.camera = { yaw: 0.6, pitch: 0.35, zoom: 1 }; // Radians; zoom > 1 moves closer
+        this.drag = null;
+        this.reset();
+    }
+
+    // Unit steps from the origin (no stepLength param); the renderer fits the camera to the bounds
+    getTurtleFrame() { return { x: 0, y: 0, heading: 90 }; }
+    layoutDrawing() {} // No screen layout, the renderer projects the segment buffer itself
+
+    getPolygons3D() { return this.polygons3D.filter(p => p.segmentCount <= this.revealedSegments); }
+    getBounds3D() { return this.bounds3D; }
+    getCamera() { return this.camera; }
+    getStatistics() { return [{ label: 'Segments', value: this.getVisibleSegmentCount() }, { label: 'Modules', value: this.moduleCount }]; }
+    getVisualizationHints() { return { renderMode: 'lines3d' }; }
+    getInteractionHint() { return 'Drag to orbit, right-drag to zoom'; }
+
+    // Left drag orbits around the drawing, right drag (up/down) zooms
+    handleMouseDown(x, y, button) {
+        this.drag = { x, y, zoom: button === 2 };
+    }
+    handleMouseMove(x, y) {
+        if (!this.drag) return;
+        const dx = x - this.drag.x, dy = y - this.drag.y;
+        if (this.drag.zoom) {
+            this.camera.zoom = Math.min(20, Math.max(0.2, this.camera.zoom * Math.exp(-dy * 0.01)));
+        } else {
+            this.camera.yaw += dx * 0.01;
+            this.camera.pitch = Math.min(Math.PI / 2, Math.max(-Math.PI / 2, this.camera.pitch + dy * 0.01));
+        }
+        this.drag.x = x; this.drag.y = y;
     }
+    handleMouseUp() { this.drag = null; }
+
+    onResize(newW, newH) { this.width = newW; this.height = newH; } // The renderer refits the view
 
-} // End KochSnowflake
\ No newline at end of file
+    getParameters() {
+        const base = super.getParameters() // No 2D jitter or fitting in 3D; the camera frames the drawing
+            .filter(param => !['randomness', 'autoFit', 'stepLength'].includes(param.id));
+        return [
+            {id: 'preset', label: 'Preset', type: 'select', value: this.getParamValue('preset'), tooltip:'Load a classic 3D grammar',
+                options: [...LSYSTEM_3D_PRESETS.map(p => ({ value: p.name, label: p.name })), { value: 'custom', label: 'Custom' }]},
+            ...base,
+            {id: 'resetCameraBtn', label: 'Camera', type: 'button', buttonText: 'Reset View'}
+        ];
+    }
+    getParamValue(paramId) {
+        if (paramId === 'preset') {
+            const preset = LSYSTEM_3D_PRESETS.find(p => p.axiom === this.params.axiom && p.rules === this.params.rules);
+            return preset ? preset.name : 'custom';
+        }
+        return super.getParamValue(paramId);
+    }
+    setParamValue(paramId, value) {
+        if (paramId === 'preset') {
+            const preset = LSYSTEM_3D_PRESETS.find(p => p.name === value);
+            if (!preset) return;
+            Object.assign(this.params, { axiom: preset.axiom, rules: preset.rules, angle: preset.angle, iterations: preset.iterations });
+            this.reset();
+            return;
+        }
+        super.setParamValue(paramId, value);
+    }
+    triggerAction(actionId) {
+        if (actionId === 'resetCameraBtn') {
+            this.camera = { yaw: 0.6, pitch: 0.35, zoom: 1 };
+            return;
+        }
+        super.triggerAction(actionId);
+    }
+} // End LSystem3D
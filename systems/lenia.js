@@ -0,0 +1,257 @@
+// --- systems/lenia.js ---
+// Lenia: a continuous cellular automaton. Cell states are floats in [0, 1], neighborhoods are a
+// smooth ring-shaped kernel of radius R, and each step adds dt * G(K * A) with a Gaussian growth G.
+// The kernel convolution runs through an FFT so large radii stay interactive on the CPU.
+import { GenerativeSystem } from '../base_system.js';
+import { createFFT2D } from './fft.js';
+import { BOUNDARY_OPTIONS, isValidBoundary, resolveBoundaryCell } from './grid_boundary.js';
+
+function clamp01(value) { return value < 0 ? 0 : (value > 1 ? 1 : value); }
+function nextPowerOfTwo(n) { return 2 ** Math.ceil(Math.log2(n)); }
+
+// Species parameters from Bert Chan's Lenia catalogue
+const LENIA_PRESETS = [
+    { name: 'Orbium (glider)', kernelRadius: 13, kernelPeaks: '1', growthCenter: 0.15, growthWidth: 0.015, dt: 0.1 },
+    { name: 'Hydrogeminium (multi-ring)', kernelRadius: 18, kernelPeaks: '0.5,1,0.667', growthCenter: 0.26, growthWidth: 0.036, dt: 0.5 }
+];
+
+// Parse "1,0.5" ring peak heights; one value per concentric ring
+function parseKernelPeaks(text) {
+    const peaks = String(text).split(',').map(part => parseFloat(part));
+    if (peaks.length === 0 || peaks.some(peak => !(peak >= 0 && peak <= 1))) {
+        throw new Error(`Kernel peaks "${text}" must be a comma-separated list of values between 0 and 1.`);
+    }
+    return peaks;
+}
+
+// --- Lenia System ---
+export class Lenia extends GenerativeSystem {
+    constructor(width, height) {
+        super(width, height);
+        this.name = "Lenia (Continuous CA)";
+        this.params = {
+            gridSize: 256, // Power of two, required by the FFT
+            kernelRadius: 13,
+            kernelPeaks: '1',
+            growthCenter: 0.15, // mu
+            growthWidth: 0.015, // sigma
+            dt: 0.1,
+            initialDensity: 0.2, // Share of the world covered by random patches
+            boundary: 'torus'
+        };
+        this.peaks = parseKernelPeaks(this.params.kernelPeaks);
+        this.mass = 0;
+        this.setupWorld();
+    }
+
+    // Allocate state and convolution buffers for the current grid size / boundary / kernel
+    setupWorld() {
+        const size = this.params.gridSize;
+        this.cols = size;
+        this.rows = size;
+        this.cellSize = Math.max(1, Math.floor(Math.min(this.width, this.height) / size));
+        if (!this.state || this.state.length !== size * size) {
+            this.state = new Float32Array(size * size);
+        }
+        // Torus is native to the FFT; other edges are emulated by padding the field by R on each side
+        this.padding = this.params.boundary === 'torus' ? 0 : this.params.kernelRadius;
+        this.fftSize = this.padding === 0 ? size : nextPowerOfTwo(size + 2 * this.padding);
+        this.fft = createFFT2D(this.fftSize);
+        this.fieldRe = new Float64Array(this.fftSize * this.fftSize);
+        this.fieldIm = new Float64Array(this.fftSize * this.fftSize);
+        this.buildKernel();
+    }
+
+    // Ring kernel: concentric shells with smooth bump profile exp(4 - 1/(r(1-r))), normalized to sum 1
+    buildKernel() {
+        const n = this.fftSize, radius = this.params.kernelRadius;
+        const rings = this.peaks.length;
+        this.kernelRe = new Float64Array(n * n);
+        this.kernelIm = new Float64Array(n * n);
+        let total = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const r = Math.sqrt(dx * dx + dy * dy) / radius;
+                if (r <= 0 || r >= 1) continue;
+                const ringPosition = r * rings;
+                const ring = Math.floor(ringPosition);
+                const t = ringPosition - ring;
+                const value = this.peaks[ring] * Math.exp(4 - 1 / (t * (1 - t) + 1e-9));
+                // Kernel centered on (0, 0) with wrap-around, as the convolution theorem expects
+                this.kernelRe[((dy + n) % n) * n + (dx + n) % n] = value;
+                total += value;
+            }
+        }
+        if (total > 0) this.kernelRe.forEach((value, i) => { this.kernelRe[i] = value / total; });
+        this.fft.forward(this.kernelRe, this.kernelIm);
+    }
+
+    reset(randomize = true) {
+        super.reset();
+        this.state.fill(0);
+        if (randomize) this.randomize();
+        this.mass = this.calculateMass();
+        console.log("Lenia reset.");
+    }
+
+    // Scatter square patches of uniform noise, a few kernel radii wide
+    randomize() {
+        const size = this.params.gridSize;
+        const patch = Math.min(size, this.params.kernelRadius * 2);
+        const count = Math.max(1, Math.round(this.params.initialDensity * size * size / (patch * patch)));
+        for (let p = 0; p < count; p++) {
+            const x0 = Math.floor(Math.random() * size), y0 = Math.floor(Math.random() * size);
+            for (let y = 0; y < patch; y++) {
+                for (let x = 0; x < patch; x++) {
+                    this.state[((y0 + y) % size) * size + (x0 + x) % size] = Math.random();
+                }
+            }
+        }
+    }
+
+    step() {
+        const size = this.params.gridSize, n = this.fftSize, pad = this.padding;
+        const { growthCenter, growthWidth, dt, boundary } = this.params;
+        const re = this.fieldRe, im = this.fieldIm;
+        re.fill(0);
+        im.fill(0);
+        // Copy the state in, filling the padding ring according to the boundary condition
+        const span = size + 2 * pad;
+        for (let py = 0; py < span; py++) {
+            for (let px = 0; px < span; px++) {
+                const i = resolveBoundaryCell(px - pad, py - pad, size, size, boundary);
+                if (i >= 0) re[py * n + px] = this.state[i];
+            }
+        }
+
+        // Convolution theorem: K * A = IFFT(FFT(K) . FFT(A))
+        this.fft.forward(re, im);
+        const kRe = this.kernelRe, kIm = this.kernelIm;
+        for (let i = 0; i < re.length; i++) {
+            const r = re[i] * kRe[i] - im[i] * kIm[i];
+            im[i] = re[i] * kIm[i] + im[i] * kRe[i];
+            re[i] = r;
+        }
+        this.fft.inverse(re, im);
+
+        // Gaussian growth mapped to [-1, 1], then integrate and clip
+        const inverseTwoSigmaSq = 1 / (2 * growthWidth * growthWidth);
+        let mass = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const potential = re[(y + pad) * n + x + pad];
+                const diff = potential - growthCenter;
+                const growth = 2 * Math.exp(-diff * diff * inverseTwoSigmaSq) - 1;
+                const i = y * size + x;
+                const value = clamp01(this.state[i] + dt * growth);
+                this.state[i] = value;
+                mass += value;
+            }
+        }
+        this.mass = mass;
+        this.iteration++;
+    }
+
+    calculateMass() { return this.state.reduce((sum, value) => sum + value, 0); }
+
+    // --- Methods for Lab Interface ---
+    // Float field for the renderer's colormap path, centered on the canvas
+    getField() {
+        const size = this.params.gridSize;
+        return {
+            data: this.state, cols: size, rows: size, min: 0, max: 1, cellSize: this.cellSize,
+            offsetX: Math.floor((this.width - size * this.cellSize) / 2),
+            offsetY: Math.floor((this.height - size * this.cellSize) / 2)
+        };
+    }
+    getPopulation() { return this.mass.toFixed(1); } // Total mass
+    getVisualizationHints() { return { renderMode: 'field', cellSize: this.cellSize }; }
+    getInteractionHint() { return 'Left-drag to paint noise, right-drag to erase'; }
+    handleMouseDown(x, y, button) { this.erasing = button === 2; this.paint(x, y); }
+    handleMouseMove(x, y) { this.paint(x, y); }
+
+    // Brush of one kernel radius: random values, or zeros when erasing
+    paint(canvasX, canvasY) {
+        const field = this.getField();
+        const cx = Math.floor((canvasX - field.offsetX) / this.cellSize);
+        const cy = Math.floor((canvasY - field.offsetY) / this.cellSize);
+        const size = this.params.gridSize, radius = this.params.kernelRadius;
+        if (cx < 0 || cy < 0 || cx >= size || cy >= size) return;
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (dx * dx + dy * dy > radius * radius) continue;
+                const x = cx + dx, y = cy + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                this.state[y * size + x] = this.erasing ? 0 : Math.random();
+            }
+        }
+        this.mass = this.calculateMass();
+    }
+
+    onResize(w, h) {
+        this.width = w; this.height = h;
+        this.cellSize = Math.max(1, Math.floor(Math.min(w, h) / this.params.gridSize)); // World size is fixed
+    }
+
+    getParameters() { return [
+        {id: 'preset', label: 'Species Preset', type: 'select', value: this.getParamValue('preset'), tooltip:'Parameter sets known to produce lifeforms',
+            options: [...LENIA_PRESETS.map(p => ({ value: p.name, label: p.name })), { value: 'custom', label: 'Custom' }]},
+        {id: 'kernelRadius', label: 'Kernel Radius (R)', type: 'slider', min: 3, max: 40, step: 1, value: this.params.kernelRadius, tooltip:'Neighborhood radius in cells'},
+        {id: 'kernelPeaks', label: 'Kernel Ring Peaks', type: 'text', value: this.params.kernelPeaks, tooltip:'Comma-separated peak height of each concentric ring, e.g. 1 or 0.5,1,0.667'},
+        {id: 'growthCenter', label: 'Growth Center (μ)', type: 'slider', min: 0.01, max: 0.5, step: 0.001, value: this.params.growthCenter, tooltip:'Neighborhood potential with maximal growth'},
+        {id: 'growthWidth', label: 'Growth Width (σ)', type: 'slider', min: 0.001, max: 0.1, step: 0.001, value: this.params.growthWidth, tooltip:'Tolerance around the growth center'},
+        {id: 'dt', label: 'Time Step (dt)', type: 'slider', min: 0.01, max: 1, step: 0.01, value: this.params.dt, tooltip:'Integration step per update'},
+        {id: 'gridSize', label: 'World Size', type: 'select', value: String(this.params.gridSize), tooltip:'Cells per side (power of two for the FFT), resets the world',
+            options: [64, 128, 256, 512].map(size => ({ value: String(size), label: `${size} x ${size}` }))},
+        {id: 'boundary', label: 'Boundary', type: 'select', options: BOUNDARY_OPTIONS, value: this.params.boundary, tooltip:'Non-torus edges pad the FFT, which costs about 4x'},
+        {id: 'initialDensity', label: 'Initial Coverage', type: 'slider', min: 0.02, max: 0.8, step: 0.02, value: this.params.initialDensity, tooltip:'Share of the world seeded with noise patches'},
+        {id: 'randomizeBtn', label: '', type: 'button', buttonText:'Randomize', tooltip:'Reseed the world with noise patches'}
+    ]; }
+    getParamValue(paramId) {
+        if (paramId === 'preset') {
+            const match = LENIA_PRESETS.find(p => ['kernelRadius', 'kernelPeaks', 'growthCenter', 'growthWidth', 'dt'].every(key => p[key] === this.params[key]));
+            return match ? match.name : 'custom';
+        }
+        return this.params[paramId];
+    }
+    setParamValue(paramId, value) {
+        switch (paramId) {
+            case 'preset': {
+                const preset = LENIA_PRESETS.find(p => p.name === value);
+                if (!preset) return;
+                this.peaks = parseKernelPeaks(preset.kernelPeaks);
+                const { name, ...settings } = preset;
+                Object.assign(this.params, settings);
+                this.setupWorld();
+                break;
+            }
+            case 'kernelRadius':
+                this.params.kernelRadius = Math.max(1, parseInt(value));
+                this.setupWorld(); // Padding depends on the radius too
+                break;
+            case 'kernelPeaks':
+                this.peaks = parseKernelPeaks(value); // Throws on invalid input
+                this.params.kernelPeaks = value;
+                this.buildKernel();
+                break;
+            case 'growthCenter': this.params.growthCenter = parseFloat(value); break;
+            case 'growthWidth': this.params.growthWidth = Math.max(0.0001, parseFloat(value)); break;
+            case 'dt': this.params.dt = parseFloat(value); break;
+            case 'gridSize':
+                this.params.gridSize = parseInt(value);
+                this.setupWorld();
+                this.reset(true);
+                break;
+            case 'boundary':
+                if (!isValidBoundary(value)) throw new Error(`Unknown boundary "${value}".`);
+                this.params.boundary = value;
+                this.setupWorld();
+                break;
+            case 'initialDensity': this.params.initialDensity = parseFloat(value); break;
+            default: console.warn("Lenia unknown param set:", paramId);
+        }
+    }
+    triggerAction(actionId) {
+        if (actionId === 'randomizeBtn') this.reset(true);
+    }
+} // End Lenia
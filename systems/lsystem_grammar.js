@@ -0,0 +1,297 @@
+// --- systems/lsystem_grammar.js ---
+// Parametric, conditional and stochastic L-system grammars (after "The Algorithmic Beauty of
+// Plants"). Strings are lists of modules { symbol, args }, where args is null or an array of
+// numbers: "F(1,0.2)+(30)A(5)". Rules are written one per line:
+//   F -> FF                                   plain rewrite (matches F with any arguments)
+//   A(t) : t>0 -> F(t)[+A(t-1)]               parameters, an optional condition, expressions
+//   F -> (0.33) F[+F]F | (0.33) F[-F]F | (0.34) F[-F][+F]     weighted random alternatives
+//   b < a -> b                                context: rewrite a when the module before it is b
+//   A(x) < B(y) > C(z) : x<z -> B(y+1)        contexts bind parameters too
+// For each module the first rule whose symbol, parameter count, contexts and condition match is
+// applied. Context matching follows the book: symbols listed in a "#ignore: +-F" line (by default
+// the turtle's turn and style symbols) are skipped, the left context of a branch continues below
+// its "[", and side branches are stepped over while looking for either context.
+import { compileExpression } from './expression.js';
+import { hashToUnit, combineKeys } from './seeded_random.js';
+
+const WEIGHT_PREFIX = /^\(\s*(\d*\.?\d+(?:e[+-]?\d+)?)\s*\)\s*/i;
+const IDENTIFIER = /^[A-Za-z_]\w*$/;
+const DEFAULT_IGNORE = '+-&^\\/|!\''; // Turns, rolls and style changes don't hide a context
+
+// Split "a, max(b, c)" at top-level commas
+function splitArguments(text) {
+    const parts = [];
+    let depth = 0, start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')') depth--;
+        else if (text[i] === ',' && depth === 0) { parts.push(text.slice(start, i)); start = i + 1; }
+    }
+    parts.push(text.slice(start));
+    return parts;
+}
+
+// "F(l*0.5,w)[+A(t-1)]" -> [{ symbol, argTexts }] (argTexts is null without parentheses)
+function scanModules(text) {
+    const modules = [];
+    const source = String(text);
+    let i = 0;
+    while (i < source.length) {
+        const symbol = source[i++];
+        if (/\s/.test(symbol)) continue;
+        if (symbol === '(' || symbol === ')' || symbol === ',') {
+            throw new Error(`Unexpected "${symbol}" in "${source.trim()}": arguments must follow a symbol, like F(10).`);
+        }
+        let argTexts = null;
+        if (source[i] === '(') {
+            let depth = 0, end = i;
+            for (; end < source.length; end++) {
+                if (source[end] === '(') depth++;
+                else if (source[end] === ')' && --depth === 0) break;
+            }
+            if (end >= source.length) throw new Error(`Unclosed "(" after "${symbol}" in "${source.trim()}".`);
+            argTexts = splitArguments(source.slice(i + 1, end));
+            i = end + 1;
+        }
+        modules.push({ symbol, argTexts });
+    }
+    return modules;
+}
+
+// Successor or axiom text -> [{ symbol, argExprs }] with argument expressions compiled against
+// variableNames (argExprs is null for modules written without parentheses)
+export function parseModuleTemplates(text, variableNames = []) {
+    return scanModules(text).map(({ symbol, argTexts }) => ({
+        symbol, argExprs: argTexts ? argTexts.map(arg => compileExpression(arg, variableNames)) : null
+    }));
+}
+
+// Turn templates into modules, evaluating argument expressions with the given parameter values
+export function instantiateModules(templates, values = []) {
+    return templates.map(({ symbol, argExprs }) => ({ symbol, args: argExprs ? argExprs.map(expr => expr(values)) : null }));
+}
+
+// Axiom text -> modules (arguments must be constant expressions)
+export function parseAxiom(text) {
+    return instantiateModules(parseModuleTemplates(text));
+}
+
+// Module list -> text, e.g. for exporting the derived string
+export function formatModules(modules) {
+    return modules.map(({ symbol, args }) => args ? `${symbol}(${args.map(value => +value.toFixed(4)).join(',')})` : symbol).join('');
+}
+
+// "(0.5) F[+F] | (0.5) F[-F]" -> [{ weight, successor }] with weights normalized to sum to 1.
+// Only a "|" that starts a new weighted alternative separates them, so "|" stays available as an
+// ordinary symbol in plain successors.
+export function parseSuccessors(text, symbol = '?') {
+    const source = String(text).trim();
+    if (!WEIGHT_PREFIX.test(source)) return [{ weight: 1, successor: source }];
+
+    const alternatives = source.split(/\|(?=\s*\(\s*\d*\.?\d)/).map(part => {
+        const trimmed = part.trim();
+        const match = trimmed.match(WEIGHT_PREFIX);
+        if (!match) throw new Error(`rule for "${symbol}": every alternative needs a weight like "(0.5) F[+F]".`);
+        const weight = parseFloat(match[1]);
+        if (!(weight > 0)) throw new Error(`rule for "${symbol}": weight (${match[1]}) must be greater than 0.`);
+        return { weight, successor: trimmed.slice(match[0].length) };
+    });
+    const total = alternatives.reduce((sum, alternative) => sum + alternative.weight, 0);
+    return alternatives.map(alternative => ({ weight: alternative.weight / total, successor: alternative.successor }));
+}
+
+// Pick one alternative using random() in [0, 1)
+export function chooseSuccessor(alternatives, random) {
+    if (alternatives.length === 1) return alternatives[0].successor;
+    let r = random();
+    for (const alternative of alternatives) {
+        r -= alternative.weight;
+        if (r < 0) return alternative.successor;
+    }
+    return alternatives[alternatives.length - 1].successor; // Rounding left a sliver
+}
+
+// Rule head pattern "A(t,w)" or, for contexts, "A(x)B" -> [{ symbol, params }];
+// params is null for modules written without parentheses (they match any arguments)
+function parsePattern(text, what) {
+    return scanModules(text).map(({ symbol, argTexts }) => {
+        const params = argTexts ? argTexts.map(name => name.trim()) : null;
+        (params || []).forEach(name => {
+            if (!IDENTIFIER.test(name)) throw new Error(`"${name}" in the ${what} is not a valid parameter name.`);
+        });
+        return { symbol, params };
+    });
+}
+
+// "lc < A(t) > rc : condition" (contexts and condition optional) -> rule head
+function parseHead(text) {
+    const colon = text.indexOf(':');
+    const head = colon < 0 ? text : text.slice(0, colon);
+    const lt = head.indexOf('<'), gt = head.indexOf('>', lt + 1);
+    const left = lt < 0 ? null : parsePattern(head.slice(0, lt), 'left context');
+    const right = gt < 0 ? null : parsePattern(head.slice(gt + 1), 'right context');
+    const predecessor = parsePattern(head.slice(lt + 1, gt < 0 ? head.length : gt), 'predecessor');
+    if (predecessor.length !== 1) {
+        throw new Error(`predecessor "${head.slice(lt + 1, gt < 0 ? head.length : gt).trim()}" should be one symbol, optionally with parameters like A(t,w).`);
+    }
+    if (left && left.some(module => module.symbol === '[' || module.symbol === ']')) {
+        throw new Error('brackets are only supported in the right context.');
+    }
+    if ((left && !left.length) || (right && !right.length)) throw new Error('"<" and ">" need a context next to them.');
+
+    const names = [left, predecessor, right].flatMap(pattern => (pattern || []).flatMap(module => module.params || []));
+    if (new Set(names).size !== names.length) throw new Error('parameter names in a rule head must differ.');
+    const condition = colon < 0 ? null : compileExpression(text.slice(colon + 1), names);
+    return { symbol: predecessor[0].symbol, params: predecessor[0].params, left, right, condition, names };
+}
+
+// Rules text -> grammar { productions: Map symbol -> [production], ignore: Set, contextSensitive }.
+// Blank lines and lines starting with # are ignored, except "#ignore: symbols". Errors name the line.
+export function compileGrammar(text) {
+    const productions = new Map();
+    let ignore = DEFAULT_IGNORE, contextSensitive = false;
+    String(text).split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const directive = line.match(/^#\s*ignore(?:\s*:|\s)(.*)$/i);
+        if (directive) { ignore = directive[1].replace(/\s+/g, ''); return; }
+        if (!line || line.startsWith('#')) return;
+        try {
+            const arrow = line.indexOf('->');
+            if (arrow < 0) throw new Error('expected "predecessor -> successor".');
+            const head = parseHead(line.slice(0, arrow));
+            const alternatives = parseSuccessors(line.slice(arrow + 2), head.symbol).map(({ weight, successor }) => ({
+                weight, successor: parseModuleTemplates(successor, head.names)
+            }));
+            if (!productions.has(head.symbol)) productions.set(head.symbol, []);
+            productions.get(head.symbol).push({ ...head, alternatives });
+            contextSensitive = contextSensitive || !!(head.left || head.right);
+        } catch (e) {
+            throw new Error(`Rule line ${index + 1}: ${e.message}`);
+        }
+    });
+    return { productions, ignore: new Set(ignore), contextSensitive };
+}
+
+// Index of the matching bracket for every "[" and "]" (-1 elsewhere or when unbalanced)
+function matchBrackets(modules) {
+    const partner = new Int32Array(modules.length).fill(-1);
+    const open = [];
+    modules.forEach(({ symbol }, i) => {
+        if (symbol === '[') open.push(i);
+        else if (symbol === ']' && open.length) {
+            const start = open.pop();
+            partner[start] = i;
+            partner[i] = start;
+        }
+    });
+    return partner;
+}
+
+function matchesPattern(module, pattern) {
+    return module.symbol === pattern.symbol && (!pattern.params || (module.args || []).length === pattern.params.length);
+}
+
+// Walk left from the predecessor: skip ignored symbols and whole side branches ("...]"), and pass
+// through a "[" to the module the branch grows from. Pushes bound arguments; false if no match.
+function matchLeftContext(modules, index, pattern, ignore, brackets, values) {
+    const bound = [];
+    let j = index - 1;
+    for (let p = pattern.length - 1; p >= 0; j--) {
+        if (j < 0) return false;
+        const module = modules[j];
+        if (ignore.has(module.symbol) || module.symbol === '[') continue;
+        if (module.symbol === ']') {
+            if (brackets[j] < 0) return false;
+            j = brackets[j]; // Skip the side branch
+            continue;
+        }
+        if (!matchesPattern(module, pattern[p])) return false;
+        if (pattern[p].params) bound.unshift(...module.args);
+        p--;
+    }
+    values.push(...bound);
+    return true;
+}
+
+// Walk right from the predecessor: skip ignored symbols and side branches the pattern doesn't
+// mention; a "]" in the string ends the branch and with it the context. A "]" in the pattern
+// skips to the end of the current branch.
+function matchRightContext(modules, index, pattern, ignore, brackets, values) {
+    let j = index + 1;
+    for (let p = 0; p < pattern.length;) {
+        if (j >= modules.length) return false;
+        const module = modules[j], expected = pattern[p];
+        if (expected.symbol === ']') {
+            while (j < modules.length && modules[j].symbol !== ']') j = modules[j].symbol === '[' && brackets[j] >= 0 ? brackets[j] + 1 : j + 1;
+            if (j >= modules.length) return false;
+            j++; p++;
+            continue;
+        }
+        if (module.symbol === '[' && expected.symbol === '[') { j++; p++; continue; }
+        if (ignore.has(module.symbol)) { j++; continue; }
+        if (module.symbol === '[') {
+            if (brackets[j] < 0) return false;
+            j = brackets[j] + 1; // Step over a side branch
+            continue;
+        }
+        if (module.symbol === ']' || !matchesPattern(module, expected)) return false;
+        if (expected.params) values.push(...module.args);
+        j++; p++;
+    }
+    return true;
+}
+
+// Successor modules for modules[index], or null if no rule applies (the module is kept as is)
+function rewriteModule(modules, index, grammar, brackets, random) {
+    const module = modules[index];
+    const candidates = grammar.productions.get(module.symbol);
+    if (!candidates) return null;
+    for (const production of candidates) {
+        if (production.params && production.params.length !== (module.args || []).length) continue;
+        const values = [];
+        if (production.left && !matchLeftContext(modules, index, production.left, grammar.ignore, brackets, values)) continue;
+        if (production.params) values.push(...module.args);
+        if (production.right && !matchRightContext(modules, index, production.right, grammar.ignore, brackets, values)) continue;
+        if (production.condition && !production.condition(values)) continue;
+        return instantiateModules(chooseSuccessor(production.alternatives, random), values);
+    }
+    return null;
+}
+
+// One parallel rewriting step over the whole string
+export function deriveOnce(modules, grammar, random) {
+    const brackets = grammar.contextSensitive ? matchBrackets(modules) : null;
+    const next = [];
+    for (let i = 0; i < modules.length; i++) {
+        const successor = rewriteModule(modules, i, grammar, brackets, random);
+        if (successor) next.push(...successor); else next.push(modules[i]);
+    }
+    return next;
+}
+
+// Lazy alternative to repeated deriveOnce for context-free grammars: walks the derivation tree
+// depth-first and yields the modules of the string derived `depth` times from `modules`, so the
+// string never has to exist in memory. Random choices are keyed by each module's position in the
+// tree (from seed), not by the order they are made in, so expanding to depth n and to n + 1 agree.
+export function* expandModules(modules, grammar, depth, seed) {
+    if (grammar.contextSensitive) throw new Error('Context-sensitive rules need the whole string; use deriveOnce.');
+    let key = 0;
+    const random = () => hashToUnit(key);
+    const stack = [{ modules, index: 0, depth, key: seed >>> 0 }];
+    while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        if (frame.index >= frame.modules.length) {
+            stack.pop();
+            continue;
+        }
+        const index = frame.index++;
+        if (frame.depth === 0) {
+            yield frame.modules[index];
+            continue;
+        }
+        key = combineKeys(frame.key, index);
+        const successor = rewriteModule(frame.modules, index, grammar, null, random);
+        if (successor) stack.push({ modules: successor, index: 0, depth: frame.depth - 1, key });
+        else yield frame.modules[index]; // No rule applies now, so none will at deeper levels either
+    }
+}
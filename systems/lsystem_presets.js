@@ -0,0 +1,109 @@
+// --- systems/lsystem_presets.js ---
+// Classic 2D grammars for the L-system gallery plus user presets saved in localStorage. A preset is
+// { name, axiom, rules, angle, iterations, heading?, drawSymbols? }; heading is the turtle's start
+// direction in degrees (0 = right, 90 = up). Presets move between browsers as JSON.
+import { parseAxiom, compileGrammar } from './lsystem_grammar.js';
+
+const STORAGE_KEY = 'gensysLab.lsystemPresets';
+
+export const BUILTIN_LSYSTEM_PRESETS = [
+    { name: 'Sierpinski triangle', axiom: 'F-G-G', rules: 'F -> F-G+F+G-F\nG -> GG', angle: 120, iterations: 6, heading: 0 },
+    { name: 'Sierpinski arrowhead', axiom: 'A', rules: 'A -> B-A-B\nB -> A+B+A', angle: 60, iterations: 7, heading: 0, drawSymbols: 'AB' },
+    { name: 'Dragon curve', axiom: 'FX', rules: 'X -> X+YF+\nY -> -FX-Y', angle: 90, iterations: 12, heading: 0 },
+    { name: 'Hilbert curve', axiom: 'A', rules: 'A -> +BF-AFA-FB+\nB -> -AF+BFB+FA-', angle: 90, iterations: 5, heading: 0 },
+    { name: 'Gosper curve', axiom: 'A', rules: 'A -> A-B--B+A++AA+B-\nB -> +A-AA--B-A++A+B', angle: 60, iterations: 4, heading: 0, drawSymbols: 'AB' },
+    { name: 'Lévy C curve', axiom: 'F', rules: 'F -> +F--F+', angle: 45, iterations: 12, heading: 0 },
+    { name: 'Koch snowflake', axiom: 'F++F++F', rules: 'F -> F-F++F-F', angle: 60, iterations: 4, heading: 0 },
+    { name: 'Fractal plant', axiom: 'X', rules: 'X -> F+[[X]-X]-F[-FX]+X\nF -> FF', angle: 25, iterations: 6, heading: 65 },
+    { name: 'Bush', axiom: 'F', rules: 'F -> FF-[-F+F+F]+[+F-F-F]', angle: 22.5, iterations: 4, heading: 90 },
+    { name: 'Penrose tiling (P3)', axiom: '[N]++[N]++[N]++[N]++[N]', rules: [
+        'M -> OF++PF----NF[-OF----MF]++',
+        'N -> +OF--PF[---MF--NF]+',
+        'O -> -MF++NF[+++OF++PF]-',
+        'P -> --OF++++MF[+PF++++NF]--NF',
+        'F ->'].join('\n'), angle: 36, iterations: 4, heading: 0 }
+];
+
+// Check and normalize one preset (from storage or an imported file); throws on bad grammar
+export function normalizePreset(preset) {
+    if (!preset || typeof preset !== 'object') throw new Error('A preset must be an object.');
+    const name = String(preset.name || '').trim();
+    if (!name) throw new Error('Every preset needs a name.');
+    const axiom = String(preset.axiom ?? '');
+    const rules = String(preset.rules ?? '');
+    const angle = Number(preset.angle), iterations = Number(preset.iterations);
+    if (!Number.isFinite(angle)) throw new Error(`Preset "${name}": angle must be a number.`);
+    if (!Number.isInteger(iterations) || iterations < 0) throw new Error(`Preset "${name}": iterations must be a whole number.`);
+    try {
+        parseAxiom(axiom);
+        compileGrammar(rules);
+    } catch (e) {
+        throw new Error(`Preset "${name}": ${e.message}`);
+    }
+    const heading = Number.isFinite(Number(preset.heading)) ? Number(preset.heading) : 90;
+    const drawSymbols = String(preset.drawSymbols || '').replace(/[^A-Za-z]/g, '');
+    return { name, axiom, rules, angle, iterations, heading, drawSymbols };
+}
+
+// Saved presets; storage may be unavailable (privacy mode, file:// in some browsers)
+export function loadSavedPresets() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        if (!Array.isArray(saved)) return [];
+        return saved.flatMap(preset => {
+            try { return [normalizePreset(preset)]; } catch (e) { return []; } // Skip entries that no longer parse
+        });
+    } catch (e) {
+        console.warn("Could not read saved L-system presets:", e);
+        return [];
+    }
+}
+
+function writeSavedPresets(presets) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    } catch (e) {
+        throw new Error(`Could not save presets: ${e.message}`);
+    }
+}
+
+// Built-ins first, then saved presets (marked saved: true)
+export function listPresets() {
+    return [
+        ...BUILTIN_LSYSTEM_PRESETS.map(preset => ({ heading: 90, drawSymbols: '', ...preset, saved: false })),
+        ...loadSavedPresets().map(preset => ({ ...preset, saved: true }))
+    ];
+}
+
+// Store presets under their names; saving again under a saved name replaces that preset
+export function savePresets(presets) {
+    const normalized = presets.map(normalizePreset);
+    const builtin = normalized.find(preset => BUILTIN_LSYSTEM_PRESETS.some(b => b.name === preset.name));
+    if (builtin) throw new Error(`"${builtin.name}" is a built-in preset, choose another name.`);
+    const names = new Set(normalized.map(preset => preset.name));
+    writeSavedPresets([...loadSavedPresets().filter(preset => !names.has(preset.name)), ...normalized]);
+    return normalized.map(preset => preset.name);
+}
+
+export function deleteSavedPreset(name) {
+    const presets = loadSavedPresets();
+    if (!presets.some(preset => preset.name === name)) throw new Error(`"${name}" is not a saved preset.`);
+    writeSavedPresets(presets.filter(preset => preset.name !== name));
+}
+
+export function exportPresetsJSON(presets) {
+    return JSON.stringify(presets.map(normalizePreset), null, 2);
+}
+
+// Accepts one preset object or an array of them
+export function parsePresetsJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    const presets = (Array.isArray(data) ? data : [data]).map(normalizePreset);
+    if (presets.length === 0) throw new Error('The file holds no presets.');
+    return presets;
+}
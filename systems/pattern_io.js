@@ -0,0 +1,161 @@
+// --- systems/pattern_io.js ---
+// Pattern exchange formats for grid automata: Golly RLE and plaintext (.cells).
+// Patterns are plain objects: { width, height, cells: Uint8Array(width * height), rule }
+
+const RLE_LINE_LENGTH = 70; // Golly wraps RLE body lines at 70 characters
+
+export function createPattern(width, height, rule = null) {
+    return { width, height, cells: new Uint8Array(width * height), rule };
+}
+
+// Guess the format: RLE has an "x = .." header or run-length tokens ending in '!'
+export function parsePattern(text) {
+    const source = String(text || '');
+    const body = source.split(/\r?\n/).filter(line => !/^\s*[#!]/.test(line)).join('');
+    if (/^\s*x\s*=/m.test(source) || /^[\d\sbo.A-Xp-y$]*!\s*$/.test(body)) {
+        return parseRLE(source);
+    }
+    return parsePlaintext(source);
+}
+
+// Golly / LifeWiki RLE. Two-state patterns use b/o, multi-state ones use . and A..X (pA..yO for 25+)
+export function parseRLE(text) {
+    let width = 0, height = 0, rule = null;
+    let body = '';
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith('#')) continue; // Comments (#N, #C, ...)
+        if (/^x\s*=/.test(line)) {
+            const header = Object.fromEntries(line.split(',').map(part => {
+                const [key, ...value] = part.split('=');
+                return [key.trim().toLowerCase(), value.join('=').trim()];
+            }));
+            width = parseInt(header.x, 10) || 0;
+            height = parseInt(header.y, 10) || 0;
+            if (header.rule) rule = header.rule.split(':')[0]; // Drop bounded-grid suffixes like ":T100,100"
+            continue;
+        }
+        body += line;
+        if (line.includes('!')) break; // Anything after the terminator is free text
+    }
+
+    // Decode into a sparse list first, the header size is only a hint
+    const cells = [];
+    let x = 0, y = 0, maxX = 0, run = '', prefix = '';
+    for (const ch of body) {
+        if (ch === '!') break;
+        if (/\d/.test(ch)) { run += ch; continue; }
+        if (/[p-y]/.test(ch)) { prefix = ch; continue; } // Multi-state prefix, the run count applies to the next letter
+        const count = run === '' ? 1 : parseInt(run, 10);
+        run = '';
+        if (ch === '$') {
+            y += count; x = 0;
+        } else if (ch === 'b' || ch === '.') {
+            x += count;
+        } else if (ch === 'o' || /[A-X]/.test(ch)) {
+            let state = ch === 'o' ? 1 : ch.charCodeAt(0) - 64;
+            if (prefix) state += (prefix.charCodeAt(0) - 111) * 24; // p = +24, q = +48, ...
+            prefix = '';
+            for (let i = 0; i < count; i++) cells.push([x++, y, state]);
+            maxX = Math.max(maxX, x);
+        } else if (!/\s/.test(ch)) {
+            throw new Error(`Invalid RLE: unexpected character "${ch}".`);
+        }
+    }
+
+    const lastRow = cells.length > 0 ? cells[cells.length - 1][1] : -1;
+    const pattern = createPattern(Math.max(width, maxX), Math.max(height, lastRow + 1), rule);
+    if (pattern.width === 0 || pattern.height === 0) throw new Error('Invalid RLE: pattern is empty.');
+    cells.forEach(([cx, cy, state]) => { pattern.cells[cy * pattern.width + cx] = state; });
+    return pattern;
+}
+
+// Plaintext (.cells): '!' comment lines, '.' dead, 'O' (or '*') alive
+export function parsePlaintext(text) {
+    const rows = String(text || '').split(/\r?\n/)
+        .filter(line => !line.startsWith('!'))
+        .map(line => line.replace(/\s+$/, ''));
+    while (rows.length > 0 && rows[rows.length - 1] === '') rows.pop(); // Trailing blank lines
+    const width = Math.max(0, ...rows.map(row => row.length));
+    if (width === 0) throw new Error('Invalid pattern: no cells found.');
+
+    const pattern = createPattern(width, rows.length);
+    rows.forEach((row, y) => {
+        for (let x = 0; x < row.length; x++) {
+            const ch = row[x];
+            if (ch === 'O' || ch === 'o' || ch === '*') pattern.cells[y * width + x] = 1;
+            else if (ch !== '.') throw new Error(`Invalid pattern: unexpected character "${ch}" on line ${y + 1}.`);
+        }
+    });
+    return pattern;
+}
+
+// Encode a pattern as RLE text, with a rule header if the pattern carries one
+export function encodeRLE(pattern) {
+    const { width, height, cells } = pattern;
+    const multiState = cells.some(state => state > 1);
+    const stateChar = (state) => {
+        if (!multiState) return state ? 'o' : 'b';
+        if (state === 0) return '.';
+        const prefix = state > 24 ? String.fromCharCode(111 + Math.floor((state - 1) / 24)) : '';
+        return prefix + String.fromCharCode(65 + (state - 1) % 24);
+    };
+
+    const tokens = [];
+    let pendingRows = 0;
+    const pushRun = (count, token) => tokens.push((count > 1 ? count : '') + token);
+    for (let y = 0; y < height; y++) {
+        let rowEnd = width; // Trailing dead cells are implied
+        while (rowEnd > 0 && cells[y * width + rowEnd - 1] === 0) rowEnd--;
+        if (rowEnd === 0) { pendingRows++; continue; }
+        const rowBreaks = pendingRows + (tokens.length > 0 ? 1 : 0); // Blank rows collapse into "n$"
+        if (rowBreaks > 0) pushRun(rowBreaks, '$');
+        pendingRows = 0;
+        let x = 0;
+        while (x < rowEnd) {
+            const state = cells[y * width + x];
+            let count = 1;
+            while (x + count < rowEnd && cells[y * width + x + count] === state) count++;
+            pushRun(count, stateChar(state));
+            x += count;
+        }
+    }
+    tokens.push('!');
+
+    // Wrap without splitting tokens
+    const lines = [];
+    let line = '';
+    tokens.forEach(token => {
+        if (line.length + token.length > RLE_LINE_LENGTH) { lines.push(line); line = ''; }
+        line += token;
+    });
+    lines.push(line);
+    const header = `x = ${width}, y = ${height}` + (pattern.rule ? `, rule = ${pattern.rule}` : '');
+    return [header, ...lines].join('\n');
+}
+
+// --- Transforms ---
+// Quarter turn clockwise: the pattern's left column becomes its top row
+export function rotatePattern(pattern) {
+    const { width, height } = pattern;
+    const rotated = createPattern(height, width, pattern.rule);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            rotated.cells[x * height + (height - 1 - y)] = pattern.cells[y * width + x];
+        }
+    }
+    return rotated;
+}
+
+// Mirror left-right, or top-bottom when vertical is set
+export function flipPattern(pattern, vertical = false) {
+    const { width, height } = pattern;
+    const flipped = createPattern(width, height, pattern.rule);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const targetX = vertical ? x : width - 1 - x, targetY = vertical ? height - 1 - y : y;
+            flipped.cells[targetY * width + targetX] = pattern.cells[y * width + x];
+        }
+    }
+    return flipped;
+}
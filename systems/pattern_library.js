@@ -0,0 +1,62 @@
+// --- systems/pattern_library.js ---
+// Named stamps for the grid drawing tools: well-known Life patterns plus user stamps that are
+// saved in localStorage as RLE. Saved stamps carry the rule they were made under.
+import { parseRLE, encodeRLE } from './pattern_io.js';
+
+const STORAGE_KEY = 'gensysLab.stamps';
+
+export const BUILTIN_STAMPS = [
+    { name: 'Glider', rle: 'x = 3, y = 3, rule = B3/S23\nbo$2bo$3o!' },
+    { name: 'Lightweight spaceship (LWSS)', rle: 'x = 5, y = 4, rule = B3/S23\nbo2bo$o4b$o3bo$4o!' },
+    { name: 'Gosper glider gun', rle: 'x = 36, y = 9, rule = B3/S23\n24bo$22bobo$12b2o6b2o12b2o$11bo3bo4b2o12b2o$2o8bo5bo3b2o$2o8bo3bob2o4bobo$10bo5bo7bo$11bo3bo$12b2o!' },
+    { name: 'Pulsar', rle: 'x = 13, y = 13, rule = B3/S23\n2b3o3b3o2$o4bobo4bo$o4bobo4bo$o4bobo4bo$2b3o3b3o2$2b3o3b3o$o4bobo4bo$o4bobo4bo$o4bobo4bo2$2b3o3b3o!' },
+    { name: 'R-pentomino', rle: 'x = 3, y = 3, rule = B3/S23\nb2o$2o$bo!' },
+    { name: 'Acorn', rle: 'x = 7, y = 3, rule = B3/S23\nbo$3bo$2o2b3o!' }
+];
+
+// Saved stamps as [{ name, rle }]; storage may be unavailable (privacy mode, file:// in some browsers)
+export function loadSavedStamps() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(stamp => stamp && typeof stamp.name === 'string' && typeof stamp.rle === 'string') : [];
+    } catch (e) {
+        console.warn("Could not read saved stamps:", e);
+        return [];
+    }
+}
+
+function writeSavedStamps(stamps) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stamps));
+    } catch (e) {
+        throw new Error(`Could not save stamps: ${e.message}`);
+    }
+}
+
+// Built-ins first, then saved stamps (marked saved: true)
+export function listStamps() {
+    return [...BUILTIN_STAMPS.map(stamp => ({ ...stamp, saved: false })), ...loadSavedStamps().map(stamp => ({ ...stamp, saved: true }))];
+}
+
+export function getStampPattern(name) {
+    const stamp = listStamps().find(s => s.name === name);
+    if (!stamp) throw new Error(`Unknown stamp "${name}".`);
+    return parseRLE(stamp.rle);
+}
+
+// Store a pattern under a new name; saving again under a saved name replaces that stamp
+export function saveStamp(name, pattern) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Give the stamp a name first.');
+    if (BUILTIN_STAMPS.some(stamp => stamp.name === trimmed)) throw new Error(`"${trimmed}" is a built-in stamp, choose another name.`);
+    const stamps = loadSavedStamps().filter(stamp => stamp.name !== trimmed);
+    stamps.push({ name: trimmed, rle: encodeRLE(pattern) });
+    writeSavedStamps(stamps);
+    return trimmed;
+}
+
+export function deleteSavedStamp(name) {
+    const stamps = loadSavedStamps();
+    if (!stamps.some(stamp => stamp.name === name)) throw new Error(`"${name}" is not a saved stamp.`);
+    writeSavedStamps(stamps.filter(stamp => stamp.name !== name));
+}
@@ -0,0 +1,128 @@
+// --- systems/period_detector.js ---
+// Detects when a grid has settled: each generation is hashed over the bounding box of its
+// non-empty cells, so a repeat of the same hash at the same position is a still life or oscillator
+// and a repeat at a shifted position is a spaceship. Only the last maxHistory generations are kept.
+
+const FNV_OFFSET = 0x811c9dc5, FNV_PRIME = 0x01000193;
+
+// Two independent 32-bit hashes of the bounding-box contents, joined into one key
+function hashRegion(cells, cols, box) {
+    let a = FNV_OFFSET, b = 0x9e3779b9;
+    a = Math.imul(a ^ box.width, FNV_PRIME);
+    b = Math.imul(b ^ box.height, 0x85ebca6b);
+    for (let y = box.minY; y <= box.maxY; y++) {
+        for (let x = box.minX; x <= box.maxX; x++) {
+            const state = cells[y * cols + x];
+            a = Math.imul(a ^ state, FNV_PRIME);
+            b = Math.imul((b ^ state) + 0x7f4a7c15, 0xc2b2ae35) ^ (b >>> 15);
+        }
+        a = Math.imul(a ^ 0xff, FNV_PRIME); // Row separator
+    }
+    return `${(a >>> 0).toString(36)}:${(b >>> 0).toString(36)}:${box.width}x${box.height}`;
+}
+
+// Bounding box of the non-empty cells. With tiles ({ occupied, tilesX, size }, one flag per tile that
+// may hold live cells) only the region spanned by occupied tiles is scanned, not the whole grid.
+function boundingBox(cells, cols, rows, tiles) {
+    let x0 = 0, y0 = 0, x1 = cols - 1, y1 = rows - 1;
+    if (tiles) {
+        const { occupied, tilesX, size } = tiles;
+        let tMinX = tilesX, tMinY = Infinity, tMaxX = -1, tMaxY = -1;
+        for (let t = 0; t < occupied.length; t++) {
+            if (!occupied[t]) continue;
+            const tx = t % tilesX, ty = (t - tx) / tilesX;
+            if (tx < tMinX) tMinX = tx;
+            if (tx > tMaxX) tMaxX = tx;
+            if (ty < tMinY) tMinY = ty;
+            tMaxY = ty;
+        }
+        if (tMaxX < 0) return null;
+        x0 = tMinX * size; y0 = tMinY * size;
+        x1 = Math.min(cols, (tMaxX + 1) * size) - 1; y1 = Math.min(rows, (tMaxY + 1) * size) - 1;
+    }
+    let minX = cols, minY = rows, maxX = -1, maxY = -1;
+    for (let y = y0; y <= y1; y++) {
+        const row = y * cols;
+        for (let x = x0; x <= x1; x++) {
+            if (cells[row + x] === 0) continue;
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            maxY = y;
+        }
+    }
+    return maxX < 0 ? null : { minX, minY, maxX, maxY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+export class PeriodDetector {
+    constructor(maxHistory = 512) {
+        this.maxHistory = maxHistory;
+        this.clear();
+    }
+
+    // Forget all generations, e.g. after the grid was edited or the rule changed
+    clear() {
+        if (this.history && this.history.length === 0 && !this.result) return; // Cheap for per-cell edits
+        this.history = []; // Ring of { generation, key, minX, minY }
+        this.latestByKey = new Map();
+        this.result = null;
+        this.last = null; // { generation, key, box } of the latest record, for repeat()
+    }
+
+    // tiles is optional, see boundingBox
+    record(generation, cells, cols, rows, tiles = null) {
+        const box = boundingBox(cells, cols, rows, tiles);
+        return this.observe(generation, box && hashRegion(cells, cols, box), box);
+    }
+
+    // A generation that changed no cell since the last recorded one: reuse its hash and position
+    // instead of rescanning. Returns false if the previous generation was not recorded.
+    repeat(generation) {
+        const last = this.last;
+        if (!last || last.generation !== generation - 1) return false;
+        this.observe(generation, last.key, last.box);
+        return true;
+    }
+
+    observe(generation, key, box) {
+        this.last = { generation, key, box };
+        if (!box) {
+            this.result = this.result && this.result.kind === 'extinct' ? this.result : { kind: 'extinct', period: 0, dx: 0, dy: 0, since: generation };
+            return this.result;
+        }
+        const previous = this.latestByKey.get(key);
+        if (previous) {
+            const found = { period: generation - previous.generation, dx: box.minX - previous.minX, dy: box.minY - previous.minY };
+            const moving = found.dx !== 0 || found.dy !== 0;
+            const kind = moving ? 'spaceship' : (found.period === 1 ? 'still' : 'oscillator');
+            // Keep the first detection time while the board stays in the same cycle
+            const same = this.result && this.result.kind === kind && this.result.period === found.period;
+            this.result = same ? this.result : { kind, ...found, since: generation };
+        } else {
+            this.result = null;
+        }
+
+        const entry = { generation, key, minX: box.minX, minY: box.minY };
+        this.history.push(entry);
+        this.latestByKey.set(key, entry);
+        if (this.history.length > this.maxHistory) {
+            const evicted = this.history.shift();
+            if (this.latestByKey.get(evicted.key) === evicted) this.latestByKey.delete(evicted.key);
+        }
+        return this.result;
+    }
+
+    getResult() { return this.result; }
+}
+
+// Human-readable summary for the info panel
+export function describeSteadyState(result) {
+    if (!result) return 'Evolving';
+    switch (result.kind) {
+        case 'extinct': return `Died out (gen ${result.since})`;
+        case 'still': return `Still life (since gen ${result.since})`;
+        case 'oscillator': return `Oscillator, period ${result.period} (since gen ${result.since})`;
+        case 'spaceship': return `Spaceship, period ${result.period}, moves (${result.dx}, ${result.dy}) (since gen ${result.since})`;
+        default: return result.kind;
+    }
+}
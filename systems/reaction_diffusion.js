@@ -0,0 +1,186 @@
+// --- systems/reaction_diffusion.js ---
+// Gray-Scott reaction-diffusion: chemical U is fed into the domain, V consumes it (U + 2V -> 3V)
+// and is removed at the kill rate. Both diffuse on a 3x3 Laplacian stencil. Rendered as a field of V.
+import { GenerativeSystem } from '../base_system.js';
+import { BOUNDARY_OPTIONS, isValidBoundary, resolveBoundaryCell } from './grid_boundary.js';
+
+const GRAY_SCOTT_PRESETS = [
+    { name: 'Mitosis', feed: 0.0367, kill: 0.0649 },
+    { name: 'Coral', feed: 0.0545, kill: 0.062 },
+    { name: 'Worms', feed: 0.078, kill: 0.061 },
+    { name: 'Spots', feed: 0.014, kill: 0.054 }
+];
+
+// Laplacian weights: orthogonal neighbors, diagonal neighbors, center
+const LAPLACE_EDGE = 0.2, LAPLACE_DIAGONAL = 0.05, LAPLACE_CENTER = -1;
+const NEIGHBOR_OFFSETS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+// --- Gray-Scott System ---
+export class GrayScott extends GenerativeSystem {
+    constructor(width, height) {
+        super(width, height);
+        this.name = "Gray-Scott Reaction-Diffusion";
+        this.params = {
+            feed: 0.0545,
+            kill: 0.062,
+            diffusionU: 1.0,
+            diffusionV: 0.5,
+            stepsPerFrame: 10,
+            cellSize: 2,
+            brushRadius: 6,
+            boundary: 'torus'
+        };
+        this.cellSize = this.params.cellSize;
+        this.calculateGridDimensions();
+    }
+
+    calculateGridDimensions() {
+        this.cols = Math.max(3, Math.floor(this.width / this.cellSize));
+        this.rows = Math.max(3, Math.floor(this.height / this.cellSize));
+        const size = this.cols * this.rows;
+        this.u = new Float32Array(size).fill(1);
+        this.v = new Float32Array(size);
+        this.nextU = new Float32Array(size);
+        this.nextV = new Float32Array(size);
+    }
+
+    reset() {
+        super.reset();
+        this.calculateGridDimensions();
+        // Seed a few noisy squares of V into the fully fed domain
+        const seeds = Math.max(3, Math.round(this.cols * this.rows / 20000));
+        const half = Math.max(2, Math.floor(Math.min(this.cols, this.rows) / 20));
+        for (let s = 0; s < seeds; s++) {
+            const cx = Math.floor(Math.random() * this.cols), cy = Math.floor(Math.random() * this.rows);
+            for (let y = cy - half; y <= cy + half; y++) {
+                for (let x = cx - half; x <= cx + half; x++) {
+                    if (x < 0 || y < 0 || x >= this.cols || y >= this.rows) continue;
+                    const i = y * this.cols + x;
+                    this.u[i] = 0.5 + Math.random() * 0.1;
+                    this.v[i] = 0.25 + Math.random() * 0.1;
+                }
+            }
+        }
+        console.log("GrayScott reset.");
+    }
+
+    step() {
+        for (let s = 0; s < this.params.stepsPerFrame; s++) this.integrate();
+        this.iteration += this.params.stepsPerFrame;
+    }
+
+    // One explicit Euler step (dt = 1) of du = Du*lap(u) - uv^2 + F(1-u), dv = Dv*lap(v) + uv^2 - (F+k)v
+    integrate() {
+        const { cols, rows, u, v, nextU, nextV } = this;
+        const { feed, kill, diffusionU, diffusionV } = this.params;
+        for (let y = 0; y < rows; y++) {
+            const edgeRow = y === 0 || y === rows - 1;
+            for (let x = 0; x < cols; x++) {
+                const i = y * cols + x;
+                let lapU, lapV;
+                if (edgeRow || x === 0 || x === cols - 1) {
+                    lapU = LAPLACE_CENTER * u[i];
+                    lapV = LAPLACE_CENTER * v[i];
+                    for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+                        const j = resolveBoundaryCell(x + dx, y + dy, cols, rows, this.params.boundary);
+                        const weight = dx !== 0 && dy !== 0 ? LAPLACE_DIAGONAL : LAPLACE_EDGE;
+                        // Dead edges hold the unreacted steady state U = 1, V = 0
+                        lapU += weight * (j >= 0 ? u[j] : 1);
+                        if (j >= 0) lapV += weight * v[j];
+                    }
+                } else {
+                    const up = i - cols, down = i + cols;
+                    lapU = LAPLACE_CENTER * u[i]
+                        + LAPLACE_EDGE * (u[i - 1] + u[i + 1] + u[up] + u[down])
+                        + LAPLACE_DIAGONAL * (u[up - 1] + u[up + 1] + u[down - 1] + u[down + 1]);
+                    lapV = LAPLACE_CENTER * v[i]
+                        + LAPLACE_EDGE * (v[i - 1] + v[i + 1] + v[up] + v[down])
+                        + LAPLACE_DIAGONAL * (v[up - 1] + v[up + 1] + v[down - 1] + v[down + 1]);
+                }
+                const reaction = u[i] * v[i] * v[i];
+                nextU[i] = u[i] + diffusionU * lapU - reaction + feed * (1 - u[i]);
+                nextV[i] = v[i] + diffusionV * lapV + reaction - (feed + kill) * v[i];
+            }
+        }
+        [this.u, this.nextU] = [nextU, u];
+        [this.v, this.nextV] = [nextV, v];
+    }
+
+    // --- Methods for Lab Interface ---
+    getField() {
+        return { data: this.v, cols: this.cols, rows: this.rows, min: 0, max: 0.5, cellSize: this.cellSize, offsetX: 0, offsetY: 0 };
+    }
+    getPopulation() { // Cells where V dominates the pattern
+        let count = 0;
+        for (let i = 0; i < this.v.length; i++) if (this.v[i] > 0.2) count++;
+        return count;
+    }
+    getVisualizationHints() { return { renderMode: 'field', cellSize: this.cellSize }; }
+    getInteractionHint() { return 'Drag to inject chemical V'; }
+    handleMouseDown(x, y) { this.inject(x, y); }
+    handleMouseMove(x, y) { this.inject(x, y); }
+
+    inject(canvasX, canvasY) {
+        const cx = Math.floor(canvasX / this.cellSize), cy = Math.floor(canvasY / this.cellSize);
+        const radius = this.params.brushRadius;
+        for (let y = cy - radius; y <= cy + radius; y++) {
+            for (let x = cx - radius; x <= cx + radius; x++) {
+                if (x < 0 || y < 0 || x >= this.cols || y >= this.rows) continue;
+                if ((x - cx) ** 2 + (y - cy) ** 2 > radius * radius) continue;
+                const i = y * this.cols + x;
+                this.u[i] = 0.5;
+                this.v[i] = 0.25;
+            }
+        }
+    }
+
+    onResize(w, h) {
+        this.width = w; this.height = h;
+        this.reset();
+    }
+
+    getParameters() { return [
+        {id: 'preset', label: 'Pattern Preset', type: 'select', value: this.getParamValue('preset'), tooltip:'Feed/kill pairs from the Gray-Scott parameter map',
+            options: [...GRAY_SCOTT_PRESETS.map(p => ({ value: p.name, label: `${p.name} (F ${p.feed}, k ${p.kill})` })), { value: 'custom', label: 'Custom' }]},
+        {id: 'feed', label: 'Feed Rate (F)', type: 'slider', min: 0.001, max: 0.1, step: 0.0001, value: this.params.feed, tooltip:'Rate at which U is replenished'},
+        {id: 'kill', label: 'Kill Rate (k)', type: 'slider', min: 0.03, max: 0.075, step: 0.0001, value: this.params.kill, tooltip:'Rate at which V is removed'},
+        {id: 'diffusionU', label: 'Diffusion U', type: 'slider', min: 0.1, max: 1, step: 0.01, value: this.params.diffusionU, tooltip:'Diffusion rate of the substrate U'},
+        {id: 'diffusionV', label: 'Diffusion V', type: 'slider', min: 0.05, max: 1, step: 0.01, value: this.params.diffusionV, tooltip:'Diffusion rate of the activator V (usually half of U)'},
+        {id: 'stepsPerFrame', label: 'Steps per Frame', type: 'slider', min: 1, max: 50, step: 1, value: this.params.stepsPerFrame, tooltip:'Simulation steps computed per displayed frame'},
+        {id: 'brushRadius', label: 'Brush Radius', type: 'slider', min: 1, max: 30, step: 1, value: this.params.brushRadius, tooltip:'Radius of mouse injection in cells'},
+        {id: 'boundary', label: 'Boundary', type: 'select', options: BOUNDARY_OPTIONS, value: this.params.boundary, tooltip:'What lies beyond the grid edges'},
+        {id: 'cellSize', label: 'Cell Size (px)', type: 'slider', min: 1, max: 6, step: 1, value: this.params.cellSize, tooltip:'Pixels per cell, restarts the simulation'}
+    ]; }
+    getParamValue(paramId) {
+        if (paramId === 'preset') {
+            const match = GRAY_SCOTT_PRESETS.find(p => p.feed === this.params.feed && p.kill === this.params.kill);
+            return match ? match.name : 'custom';
+        }
+        return this.params[paramId];
+    }
+    setParamValue(paramId, value) {
+        switch (paramId) {
+            case 'preset': {
+                const preset = GRAY_SCOTT_PRESETS.find(p => p.name === value);
+                if (preset) { this.params.feed = preset.feed; this.params.kill = preset.kill; }
+                break;
+            }
+            case 'feed': case 'kill': case 'diffusionU': case 'diffusionV':
+                this.params[paramId] = parseFloat(value);
+                break;
+            case 'stepsPerFrame': case 'brushRadius':
+                this.params[paramId] = Math.max(1, parseInt(value));
+                break;
+            case 'boundary':
+                if (!isValidBoundary(value)) throw new Error(`Unknown boundary "${value}".`);
+                this.params.boundary = value;
+                break;
+            case 'cellSize':
+                this.params.cellSize = Math.max(1, parseInt(value));
+                this.cellSize = this.params.cellSize;
+                this.reset();
+                break;
+            default: console.warn("GrayScott unknown param set:", paramId);
+        }
+    }
+} // End GrayScott
@@ -0,0 +1,29 @@
+// --- systems/seeded_random.js ---
+// Small deterministic random source (mulberry32), so stochastic systems can regenerate a result
+// from its seed. Returns a function yielding floats in [0, 1) like Math.random.
+export function createSeededRandom(seed) {
+    let state = (Number(seed) >>> 0) || 1;
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Fresh seed for a "new variation" button
+export function randomSeed() { return Math.floor(Math.random() * 1000000); }
+
+// Stateless variant for choices that must not depend on the order they are made in: hash a 32-bit
+// key to [0, 1). combineKeys derives a child key, e.g. from a parent key and a position.
+export function hashToUnit(key) { return mix32(key) / 4294967296; }
+
+export function combineKeys(parent, value) { return mix32(parent ^ Math.imul(value + 1, 0x9e3779b9)); }
+
+// murmur3 finalizer: every input bit affects every output bit
+function mix32(h) {
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
@@ -0,0 +1,224 @@
+// --- systems/turmite.js ---
+// Langton's ant and its generalizations. Each ant reads the color under it, writes a new color,
+// turns and steps forward. Relative rules like "RL" or "LLRR" give one turn per color; full turmite
+// tables (Golly notation) add internal ant states. The grid wraps around (torus).
+import { GenerativeSystem } from '../base_system.js';
+
+// Directions clockwise from north; turns are clockwise quarter turns
+const DIRECTIONS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+const DIRECTION_NAMES = ['N', 'E', 'S', 'W'];
+const RELATIVE_TURNS = { N: 0, R: 1, U: 2, L: 3 }; // No turn, right, U-turn, left
+const TABLE_TURNS = { 1: 0, 2: 1, 4: 2, 8: 3 }; // Golly's turmite turn codes
+const MAX_COLORS = 16;
+
+const TURMITE_PRESETS = [
+    { name: "Langton's ant", rule: 'RL' },
+    { name: 'Symmetric growth', rule: 'LLRR' },
+    { name: 'Filled square', rule: 'LRRRRRLLR' },
+    { name: 'Growing triangle', rule: 'RRLLLRLLLRRR' },
+    { name: 'Chaotic highway', rule: 'RLR' },
+    { name: 'Fibonacci spiral (2-state turmite)', rule: '{{{1,8,1},{1,8,1}},{{1,2,1},{0,1,0}}}' }
+];
+
+// Parse a relative rule ("RL", letters N/R/U/L, one per color) or a turmite table
+// {{{write, turn, next}, ...per color}, ...per state}. Returns table[state][color] = {write, turn, next}.
+export function parseTurmiteRule(ruleString) {
+    const text = String(ruleString || '').replace(/\s+/g, '');
+    if (/^[NRUL]+$/i.test(text)) {
+        const turns = [...text.toUpperCase()].map(letter => RELATIVE_TURNS[letter]);
+        if (turns.length < 2 || turns.length > MAX_COLORS) {
+            throw new Error(`Rule "${ruleString}" must have between 2 and ${MAX_COLORS} letters.`);
+        }
+        return { colors: turns.length, table: [turns.map((turn, color) => ({ write: (color + 1) % turns.length, turn, next: 0 }))] };
+    }
+    if (!text.startsWith('{')) {
+        throw new Error(`Rule "${ruleString}" should be letters like RL / LLRR or a turmite table like {{{1,2,0},{0,8,0}}}.`);
+    }
+
+    let states;
+    try {
+        states = JSON.parse(text.replace(/\{/g, '[').replace(/\}/g, ']'));
+    } catch (e) {
+        throw new Error(`Turmite table "${ruleString}" has unbalanced braces or stray characters.`);
+    }
+    const colors = Array.isArray(states) && Array.isArray(states[0]) ? states[0].length : 0;
+    if (!(colors >= 2 && colors <= MAX_COLORS)) {
+        throw new Error(`Turmite table needs between 2 and ${MAX_COLORS} colors per state.`);
+    }
+    const table = states.map((entries, state) => {
+        if (!Array.isArray(entries) || entries.length !== colors) {
+            throw new Error(`Turmite state ${state} must list exactly ${colors} {write, turn, next} entries.`);
+        }
+        return entries.map(entry => {
+            const [write, turnCode, next] = Array.isArray(entry) ? entry : [];
+            const turn = TABLE_TURNS[turnCode];
+            if (!Number.isInteger(write) || write < 0 || write >= colors || turn === undefined
+                || !Number.isInteger(next) || next < 0 || next >= states.length) {
+                throw new Error(`Invalid turmite entry {${entry}} in state ${state}: expected {color 0-${colors - 1}, turn 1/2/4/8, state 0-${states.length - 1}}.`);
+            }
+            return { write, turn, next };
+        });
+    });
+    return { colors, table };
+}
+
+// --- Turmite System ---
+export class Turmites extends GenerativeSystem {
+    constructor(width, height) {
+        super(width, height);
+        this.name = "Langton's Ant / Turmites";
+        this.params = {
+            rule: 'RL',
+            antCount: 1,
+            stepsPerFrame: 100,
+            cellSize: 4
+        };
+        this.rule = parseTurmiteRule(this.params.rule);
+        this.cellSize = this.params.cellSize;
+        this.ants = [];
+        this.population = 0;
+        this.calculateGridDimensions();
+    }
+
+    calculateGridDimensions() {
+        this.cols = Math.max(1, Math.floor(this.width / this.cellSize));
+        this.rows = Math.max(1, Math.floor(this.height / this.cellSize));
+        this.cells = new Uint8Array(this.cols * this.rows); // Cell colors, index = y * cols + x
+    }
+
+    reset() {
+        super.reset();
+        this.calculateGridDimensions();
+        this.population = 0;
+        // Several ants start spread around the center, facing different ways
+        this.ants = [];
+        const spread = Math.min(this.cols, this.rows) / 4;
+        for (let i = 0; i < this.params.antCount; i++) {
+            const angle = 2 * Math.PI * i / this.params.antCount;
+            const offset = this.params.antCount > 1 ? spread : 0;
+            this.addAnt(Math.floor(this.cols / 2 + Math.cos(angle) * offset), Math.floor(this.rows / 2 + Math.sin(angle) * offset), i % 4);
+        }
+        console.log("Turmites reset.");
+    }
+
+    addAnt(x, y, direction = 0) {
+        this.ants.push({ x, y, direction, state: 0 });
+    }
+
+    step() {
+        const { cols, rows, cells } = this;
+        const table = this.rule.table;
+        for (let s = 0; s < this.params.stepsPerFrame; s++) {
+            for (const ant of this.ants) {
+                const i = ant.y * cols + ant.x;
+                const color = cells[i];
+                const transition = table[ant.state][color];
+                cells[i] = transition.write;
+                this.population += (transition.write !== 0) - (color !== 0);
+                ant.direction = (ant.direction + transition.turn) & 3;
+                ant.state = transition.next;
+                const [dx, dy] = DIRECTIONS[ant.direction];
+                ant.x = (ant.x + dx + cols) % cols;
+                ant.y = (ant.y + dy + rows) % rows;
+            }
+            this.iteration++;
+        }
+    }
+
+    setRule(ruleString) {
+        this.rule = parseTurmiteRule(ruleString); // Throws, keeping the current rule
+        this.params.rule = String(ruleString).trim();
+        // Fewer colors or states: clamp what no longer exists
+        for (let i = 0; i < this.cells.length; i++) {
+            if (this.cells[i] >= this.rule.colors) this.cells[i] = 0;
+        }
+        this.population = this.cells.reduce((count, color) => count + (color !== 0), 0);
+        this.ants.forEach(ant => { if (ant.state >= this.rule.table.length) ant.state = 0; });
+    }
+
+    // --- Methods for Lab Interface ---
+    getCells() { return this.cells; }
+    getStateCount() { return this.rule.colors; }
+    // Evenly spaced hues for colors 2 and up; color 1 keeps the palette's 'on' color
+    getSpecialColors() {
+        const colors = {};
+        for (let color = 2; color < this.rule.colors; color++) {
+            colors[color] = `hsl(${Math.round(360 * (color - 1) / (this.rule.colors - 1))}, 75%, 58%)`;
+        }
+        return colors;
+    }
+    // Ant positions for the renderer's marker overlay, in canvas pixels
+    getMarkers() {
+        return this.ants.map(ant => ({
+            x: (ant.x + 0.5) * this.cellSize,
+            y: (ant.y + 0.5) * this.cellSize,
+            angle: ant.direction * Math.PI / 2 - Math.PI / 2, // Canvas angle of the heading
+            size: Math.max(3, this.cellSize)
+        }));
+    }
+    getPopulation() { return this.population; } // Non-background cells
+    getInfoItems() {
+        const shown = this.ants.slice(0, 6).map((ant, i) => ({
+            label: `Ant ${i + 1}`,
+            value: `(${ant.x}, ${ant.y}) ${DIRECTION_NAMES[ant.direction]}` + (this.rule.table.length > 1 ? ` s${ant.state}` : '')
+        }));
+        if (this.ants.length > shown.length) shown.push({ label: 'More ants', value: this.ants.length - shown.length });
+        return shown;
+    }
+    getVisualizationHints() { return { renderMode: 'grid', cellSize: this.cellSize }; }
+    getInteractionHint() { return 'Click to place an ant, right-click to remove ants'; }
+
+    handleMouseDown(canvasX, canvasY, button) {
+        const x = Math.floor(canvasX / this.cellSize), y = Math.floor(canvasY / this.cellSize);
+        if (x < 0 || y < 0 || x >= this.cols || y >= this.rows) return;
+        if (button === 2) {
+            this.ants = this.ants.filter(ant => ant.x !== x || ant.y !== y);
+        } else {
+            this.addAnt(x, y);
+        }
+    }
+
+    onResize(w, h) {
+        this.width = w; this.height = h;
+        const oldCells = this.cells, oldCols = this.cols, oldRows = this.rows;
+        this.calculateGridDimensions();
+        // Keep the overlapping top-left region; ants outside it wrap back in
+        for (let y = 0; y < Math.min(oldRows, this.rows); y++) {
+            this.cells.set(oldCells.subarray(y * oldCols, y * oldCols + Math.min(oldCols, this.cols)), y * this.cols);
+        }
+        this.population = this.cells.reduce((count, color) => count + (color !== 0), 0);
+        this.ants.forEach(ant => { ant.x %= this.cols; ant.y %= this.rows; });
+    }
+
+    getParameters() { return [
+        {id: 'rulePreset', label: 'Rule Preset', type: 'select', value: this.getParamValue('rulePreset'), tooltip:'Well-known ants and turmites',
+            options: [...TURMITE_PRESETS.map(p => ({ value: p.rule, label: p.name })), { value: 'custom', label: 'Custom' }]},
+        {id: 'rule', label: 'Rule (RL letters or turmite table)', type: 'text', value: this.params.rule, tooltip:'One letter per color: R right, L left, N none, U U-turn. Or {{{write,turn,next},...},...} with turns 1/2/4/8 = none/right/U/left'},
+        {id: 'stepsPerFrame', label: 'Steps per Frame', type: 'slider', min: 1, max: 10000, step: 1, value: this.params.stepsPerFrame, tooltip:"Ant moves per frame; Langton's highway appears after about 10,000"},
+        {id: 'antCount', label: 'Ants on Reset', type: 'slider', min: 1, max: 16, step: 1, value: this.params.antCount, tooltip:'Number of ants placed by reset'},
+        {id: 'cellSize', label: 'Cell Size (px)', type: 'slider', min: 1, max: 12, step: 1, value: this.params.cellSize, tooltip:'Size of each cell, restarts the run'}
+    ]; }
+    getParamValue(paramId) {
+        if (paramId === 'rulePreset') {
+            const preset = TURMITE_PRESETS.find(p => p.rule === this.params.rule);
+            return preset ? preset.rule : 'custom';
+        }
+        return this.params[paramId];
+    }
+    setParamValue(paramId, value) {
+        switch (paramId) {
+            case 'rulePreset':
+                if (value !== 'custom') this.setRule(value);
+                break;
+            case 'rule': this.setRule(value); break;
+            case 'stepsPerFrame': this.params.stepsPerFrame = Math.max(1, parseInt(value)); break;
+            case 'antCount': this.params.antCount = Math.max(1, parseInt(value)); break;
+            case 'cellSize':
+                this.params.cellSize = Math.max(1, parseInt(value));
+                this.cellSize = this.params.cellSize;
+                this.reset();
+                break;
+            default: console.warn("Turmites unknown param set:", paramId);
+        }
+    }
+} // End Turmites
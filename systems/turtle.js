@@ -0,0 +1,178 @@
+// --- systems/turtle.js ---
+// Turtle interpretation shared by all L-systems ("The Algorithmic Beauty of Plants", ch. 1.5 and 5).
+// The turtle carries a position and three unit vectors: heading H, left L and up U (H x L = U).
+// It starts at the origin in the xy plane, so 2D systems can drop z.
+//   F(l,w) G(l,w) draw forward   f(l) move forward   [ ] push / pop state
+//   + -  turn left / right around U     & ^  pitch down / up around L
+//   \ /  roll left / right around H     |    turn around (180 degrees around U)
+//   !(w) set or shrink the width        '(c) set or advance the color index
+//   { . } polygon: '{' opens it at the current position, f and F moves add vertices (G does not),
+//         '.' adds the current position and '}' closes and fills it
+// Arguments in parentheses override the default length, width, angle (in degrees) or color.
+
+export const DRAW_SYMBOLS = 'FG';
+
+// Growable typed-array store for segments, so millions of them stay compact: per segment six
+// coordinates (x1, y1, z1, x2, y2, z2) in coords, a width and a color index
+export class SegmentBuffer {
+    constructor(capacity = 1024) {
+        this.count = 0;
+        this.coords = new Float32Array(capacity * 6);
+        this.widths = new Float32Array(capacity);
+        this.colors = new Uint8Array(capacity);
+    }
+
+    get capacity() { return this.widths.length; }
+
+    push(from, to, width, color) {
+        if (this.count === this.capacity) this.grow();
+        const i = this.count++, c = i * 6;
+        this.coords[c] = from[0]; this.coords[c + 1] = from[1]; this.coords[c + 2] = from[2];
+        this.coords[c + 3] = to[0]; this.coords[c + 4] = to[1]; this.coords[c + 5] = to[2];
+        this.widths[i] = width;
+        this.colors[i] = Math.min(255, color);
+    }
+
+    grow() {
+        const capacity = this.capacity * 2;
+        const coords = new Float32Array(capacity * 6), widths = new Float32Array(capacity), colors = new Uint8Array(capacity);
+        coords.set(this.coords); widths.set(this.widths); colors.set(this.colors);
+        Object.assign(this, { coords, widths, colors });
+    }
+}
+
+// Rotate the pair (a, b) of unit vectors by angle in their common plane: a' = a cos + b sin, b' = b cos - a sin
+function rotatePair(a, b, angle) {
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    for (let k = 0; k < 3; k++) {
+        const ak = a[k], bk = b[k];
+        a[k] = ak * cos + bk * sin;
+        b[k] = bk * cos - ak * sin;
+    }
+}
+
+function samePoint(a, b) {
+    return Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9 && Math.abs(a[2] - b[2]) < 1e-9;
+}
+
+function copyState(state) {
+    return { ...state, position: [...state.position], h: [...state.h], l: [...state.l], u: [...state.u] };
+}
+
+function growBounds({ min, max }, point) {
+    for (let k = 0; k < 3; k++) {
+        if (point[k] < min[k]) min[k] = point[k];
+        if (point[k] > max[k]) max[k] = point[k];
+    }
+}
+
+function addVertex(polygon, point) {
+    const last = polygon[polygon.length - 1];
+    if (!last || !samePoint(last, point)) polygon.push([...point]);
+}
+
+// Resumable turtle over modules (any iterable, e.g. a lazy expansion). run(count) interprets the next
+// count modules, so a long derivation can be drawn in slices; the results grow as it goes:
+//   segments: SegmentBuffer,
+//   polygons: [{ points: [[x, y, z], ...], color, segmentCount }], (segments drawn before it closed)
+//   bounds: { min: [x, y, z], max: [x, y, z] },
+//   moduleCount, truncated (true if maxSegments or maxModules stopped it early), done
+// heading is the start direction in degrees within the xy plane (90 = up the y axis). '[' scales the
+// default length and width by branchLengthFactor / branchWidthFactor; jitter (0-1) varies turns and
+// lengths using random. drawSymbols lists extra symbols that draw like F.
+export class TurtleInterpreter {
+    constructor(modules, {
+        angle = 90, length = 1, width = 1, widthFactor = 0.7, heading = 90,
+        branchLengthFactor = 1, branchWidthFactor = 1, jitter = 0, random = Math.random, drawSymbols = '',
+        maxSegments = Infinity, maxModules = Infinity
+    } = {}) {
+        this.modules = modules[Symbol.iterator]();
+        this.options = { widthFactor, branchLengthFactor, branchWidthFactor, jitter, random, maxSegments, maxModules };
+        this.delta = angle * Math.PI / 180;
+        this.drawing = new Set(DRAW_SYMBOLS + drawSymbols);
+        this.segments = new SegmentBuffer();
+        this.polygons = [];
+        this.bounds = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+        const headingRad = heading * Math.PI / 180;
+        this.stack = [];
+        this.polygonStack = [];
+        this.polygon = null;
+        this.state = {
+            position: [0, 0, 0],
+            h: [Math.cos(headingRad), Math.sin(headingRad), 0],
+            l: [-Math.sin(headingRad), Math.cos(headingRad), 0],
+            u: [0, 0, 1],
+            length, width, color: 0
+        };
+        growBounds(this.bounds, this.state.position);
+        this.moduleCount = 0;
+        this.truncated = false;
+        this.done = false;
+    }
+
+    // Interpret up to count more modules; returns true once they are used up or a cap stopped the turtle
+    run(count = Infinity) {
+        const { maxSegments, maxModules } = this.options;
+        for (let n = 0; n < count && !this.done; n++) {
+            const next = this.modules.next();
+            if (next.done) {
+                this.done = true;
+            } else if (this.moduleCount >= maxModules || this.segments.count >= maxSegments) {
+                this.truncated = true;
+                this.done = true;
+            } else {
+                this.moduleCount++;
+                this.interpret(next.value);
+            }
+        }
+        return this.done;
+    }
+
+    interpret({ symbol, args }) {
+        const { widthFactor, branchLengthFactor, branchWidthFactor, jitter, random } = this.options;
+        const delta = this.delta;
+        const state = this.state;
+        if (this.drawing.has(symbol) || symbol === 'f') {
+            let step = args ? args[0] : state.length;
+            if (jitter > 0) step *= 1 + (random() - 0.5) * jitter * 0.5;
+            const from = state.position;
+            const to = [from[0] + state.h[0] * step, from[1] + state.h[1] * step, from[2] + state.h[2] * step];
+            if (symbol !== 'f') this.segments.push(from, to, args && args.length > 1 ? args[1] : state.width, state.color);
+            if (this.polygon && symbol !== 'G') addVertex(this.polygon, to);
+            state.position = to;
+            growBounds(this.bounds, to);
+            return;
+        }
+        let turn = args ? args[0] * Math.PI / 180 : delta;
+        if (jitter > 0 && '+-&^\\/'.includes(symbol)) turn += (random() - 0.5) * delta * jitter;
+        switch (symbol) {
+            case '+': rotatePair(state.h, state.l, turn); break; // R_U: heading toward L, a left turn
+            case '-': rotatePair(state.h, state.l, -turn); break;
+            case '&': rotatePair(state.h, state.u, turn); break; // R_L(delta)
+            case '^': rotatePair(state.h, state.u, -turn); break;
+            case '\\': rotatePair(state.l, state.u, turn); break; // R_H(delta)
+            case '/': rotatePair(state.l, state.u, -turn); break;
+            case '|': rotatePair(state.h, state.l, Math.PI); break;
+            case '!': state.width = args ? args[0] : state.width * widthFactor; break;
+            case "'": state.color = args ? Math.max(0, Math.round(args[0])) : state.color + 1; break;
+            case '[':
+                this.stack.push(copyState(state));
+                state.length *= branchLengthFactor;
+                state.width *= branchWidthFactor;
+                break;
+            case ']': if (this.stack.length > 0) this.state = this.stack.pop(); break;
+            case '{':
+                if (this.polygon) this.polygonStack.push(this.polygon);
+                this.polygon = [[...state.position]];
+                break;
+            case '.': if (this.polygon) addVertex(this.polygon, state.position); break;
+            case '}': {
+                const polygon = this.polygon;
+                if (polygon && polygon.length > 3 && samePoint(polygon[0], polygon[polygon.length - 1])) polygon.pop(); // Already closed
+                if (polygon && polygon.length >= 3) this.polygons.push({ points: polygon, color: state.color, segmentCount: this.segments.count });
+                this.polygon = this.polygonStack.length > 0 ? this.polygonStack.pop() : null;
+                break;
+            }
+        }
+    }
+}